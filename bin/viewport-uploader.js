@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const PluginError = require('plugin-error');
+
+const ViewportTheme = require('..');
+const { ThemeNotFoundError } = ViewportTheme;
+
+// ----------------- Configuration ----------------- //
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_THEME_NOT_FOUND = 3;
+
+const usage = `Usage: ${PLUGIN_NAME} <command> [options]
+
+Commands:
+  create                       Create the theme in Scroll Viewport
+  exists                       Check if the theme exists, exits with ${EXIT_THEME_NOT_FOUND} if it doesn't
+  info                         Show the version, commit, time and user of the last upload to the theme
+  reset                        Remove all resources from the theme
+  upload                       Upload resources to the theme
+  sync                         Upload new and changed resources, delete orphaned ones
+  deploy                       Reset the theme and upload resources
+  watch                        Upload changed resources whenever files change on disk, until interrupted with Ctrl+C
+  delete                       Delete the theme with all its resources
+  rename                       Rename the theme to --new-name
+  clone                        Copy the resources of the theme to another theme, see --to-theme, --to-env and --to-space
+  list                         List the themes in the space of the target environment, --space '' lists the global ones
+  preview upload|sync|deploy   Upload to the preview theme of --branch, e.g. <theme>--<branch>, creating it if needed
+  preview gc                   Delete preview themes that expired, are older than --max-age or whose branch isn't in --keep
+  env list                     List the target environments of ~/.vpconfig.json, the project config and VPRT_*
+
+Options:
+  --theme <name>               Name of the theme, VPRT_THEMENAME takes precedence
+  --env <name>                 Target environment in ~/.vpconfig.json or the project config, defaults to VPRT_ENV
+  --space <key>                Space key that overrides the one of the target environment
+  --envs <targets>             Targets to upload to instead of --env, can be repeated, supports the wildcards * and ?
+                               and a space key after a colon, e.g. PROD-*:DOC, creates missing themes (upload, sync, deploy)
+  --parallel <count>           Number of targets that are uploaded to at the same time (upload, sync, deploy)
+  --glob <pattern>             Files to upload, can be repeated (upload, sync, deploy, watch)
+  --source <path>              Path subtracted from the file paths (upload, sync, deploy, watch)
+  --target <path>              Path in the theme the files are uploaded to (upload, sync, deploy, watch)
+  --profile <name>             Upload profile of the project config instead of --glob, --source and --target
+  --ignore <pattern>           Files not to upload, can be repeated (upload, sync, deploy, watch)
+  --delta                      Only upload resources that changed since the last upload (upload)
+  --batch-size <count>         Maximum number of files per request (upload, sync, deploy, watch)
+  --batch-bytes <bytes>        Maximum size of the files per request (upload, sync, deploy, watch)
+  --concurrency <count>        Number of requests sent at the same time (upload, sync, deploy, watch)
+  --retries <count>            Number of retries of failed requests (upload, sync, deploy, watch)
+  --no-validate                Skip the validation of the resources before the upload (upload, sync, deploy, watch)
+  --fingerprint                Add a hash of the contents to the names of assets and rewrite their references (upload, sync, deploy, watch)
+  --transactional              Restore the previous resources if the deploy fails (deploy)
+  --debounce <ms>              Milliseconds to wait for further changes before uploading, defaults to 300 (watch)
+  --report-json <file>         Write a report of the uploaded files and their timings as JSON (upload, sync, deploy)
+  --report-junit <file>        Write a report of the uploaded files and their timings as JUnit XML (upload, sync, deploy)
+  --new-name <name>            New name of the theme (rename)
+  --to-theme <name>            Name of the copy, defaults to the name of the theme (clone)
+  --to-env <name>              Target environment of the copy, defaults to the one of the theme (clone)
+  --to-space <key>             Space key of the copy, defaults to the one of the target environment (clone)
+  --overwrite                  Replace the resources of the copy if it exists already (clone)
+  --branch <name>              Branch or pull request the preview theme is named after (preview)
+  --ttl <days>                 Days until the preview theme expires after the upload, defaults to 14 (preview)
+  --keep <branch>              Branch that still exists, can be repeated, previews of other branches are deleted (preview gc)
+  --max-age <days>             Delete previews uploaded more than this number of days ago (preview gc)
+  --dry-run                    Only print what would be done, without contacting Scroll Viewport
+  --progress                   Show the progress of uploads on stderr
+  --verbose                    Log every file
+  --quiet                      Only log warnings and errors
+  --log-level <level>          Minimum level of the log, one of debug, info, warn, error, silent
+  --log-format <format>        Format of the log, one of text, ndjson
+  --json                       Print the result as JSON to stdout, logs go to stderr
+  --help                       Show this help
+
+Exit codes:
+  ${EXIT_SUCCESS} success, ${EXIT_FAILURE} failure, ${EXIT_USAGE} invalid usage, ${EXIT_THEME_NOT_FOUND} theme doesn't exist
+`;
+
+// options that take a value
+const valueOptions = ['theme', 'env', 'space', 'envs', 'parallel', 'glob', 'source', 'target', 'profile', 'ignore', 'batch-size', 'batch-bytes', 'concurrency', 'retries', 'log-level', 'log-format', 'new-name', 'to-theme', 'to-env', 'to-space', 'branch', 'ttl', 'keep', 'max-age', 'debounce', 'report-json', 'report-junit'];
+
+// options that take a number and the corresponding option of upload()
+const numberOptions = { 'batch-size': 'batchSize', 'batch-bytes': 'batchBytes', 'concurrency': 'concurrency', 'retries': 'retries' };
+
+// options that don't take a value
+const flags = ['delta', 'fingerprint', 'no-validate', 'transactional', 'overwrite', 'dry-run', 'progress', 'verbose', 'quiet', 'json', 'help'];
+
+// options that can be passed multiple times
+const multiOptions = ['glob', 'ignore', 'envs', 'keep'];
+
+// ----------------- Commands ----------------- //
+
+const commands = {
+
+    async create(theme, options) {
+        if (options['dry-run']) {
+            return theme.create({ dryRun: true });
+        }
+        await theme.create();
+        return { themeName: theme.themeName, themeId: theme.themeId };
+    },
+
+    async exists(theme) {
+        const exists = await theme.exists();
+        return { result: { themeName: theme.themeName, exists }, exitCode: exists ? EXIT_SUCCESS : EXIT_THEME_NOT_FOUND };
+    },
+
+    async info(theme) {
+        return theme.info();
+    },
+
+    async reset(theme, options) {
+        if (options['dry-run']) {
+            return theme.reset({ dryRun: true });
+        }
+        await initTheme(theme);
+        await theme.reset();
+        return { themeName: theme.themeName };
+    },
+
+    async upload(theme, options) {
+        const uploadOptions = getUploadOptions(options, 'upload');
+        if (!uploadOptions.dryRun) {
+            await initTheme(theme);
+        }
+        return theme.upload(uploadOptions, options.verbose);
+    },
+
+    async sync(theme, options) {
+        const uploadOptions = getUploadOptions(options, 'sync');
+        if (!uploadOptions.dryRun) {
+            await initTheme(theme);
+        }
+        return theme.sync(uploadOptions, options.verbose);
+    },
+
+    async deploy(theme, options) {
+        const uploadOptions = getUploadOptions(options, 'deploy');
+        if (!uploadOptions.dryRun) {
+            await initTheme(theme);
+        }
+        return theme.deploy(uploadOptions, options.verbose);
+    },
+
+    async watch(theme, options) {
+        const uploadOptions = getUploadOptions(options, 'watch');
+        await initTheme(theme);
+        const watcher = await theme.watch(uploadOptions, options.verbose);
+
+        // keep watching until the process is interrupted, a running upload is completed first
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+        await watcher.close();
+        return { themeName: theme.themeName };
+    },
+
+    async delete(theme, options) {
+        if (options['dry-run']) {
+            return theme.delete({ dryRun: true });
+        }
+        await theme.delete();
+        return { themeName: theme.themeName };
+    },
+
+    async rename(theme, options) {
+        if (!options['new-name']) {
+            throw new PluginError(PLUGIN_NAME, `The option --new-name is required.`);
+        }
+        const oldThemeName = theme.themeName;
+        await theme.rename(options['new-name']);
+        return { oldThemeName, themeName: theme.themeName };
+    },
+
+    async clone(theme, options) {
+        const clone = await theme.cloneTo({
+            themeName: options['to-theme'],
+            envName: options['to-env'],
+            spaceKey: options['to-space'],
+            overwrite: options.overwrite === true,
+        }, options.verbose);
+        return { themeName: clone.themeName, envName: clone.envName, spaceKey: clone.spaceKey, themeId: clone.themeId };
+    },
+};
+
+// commands that can run for several targets with --envs
+const targetCommands = ['upload', 'sync', 'deploy'];
+
+// commands that don't operate on a theme
+const envCommands = {
+
+    async list() {
+        return ViewportTheme.listEnvironments();
+    },
+};
+
+// commands that operate on the themes of a target environment instead of a single theme
+const themesCommands = {
+
+    async list(options, logOptions) {
+        return ViewportTheme.list(options.env, options.space, logOptions);
+    },
+};
+
+// commands for the preview themes of branches
+const previewCommands = {
+
+    upload: (options, logOptions) => runPreview('upload', options, logOptions),
+    sync: (options, logOptions) => runPreview('sync', options, logOptions),
+    deploy: (options, logOptions) => runPreview('deploy', options, logOptions),
+
+    async gc(options, logOptions) {
+        return ViewportTheme.collectPreviews({
+            themeName: options.theme,
+            envName: options.env,
+            spaceKey: options.space,
+            branches: options.keep,
+            maxAge: options['max-age'] === undefined ? undefined : Number(options['max-age']),
+            dryRun: options['dry-run'] === true,
+            ...logOptions,
+        });
+    },
+};
+
+// commands that consist of a group and a subcommand, e.g. 'env list'
+const commandGroups = { env: envCommands, preview: previewCommands };
+
+// ----------------- Main ----------------- //
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
+
+async function main(args) {
+
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    const { positionals, options } = parsed;
+    const [commandName, subcommandName] = positionals;
+
+    if (options.help || !commandName) {
+        process.stdout.write(usage);
+        return options.help ? EXIT_SUCCESS : EXIT_USAGE;
+    }
+
+    const command = commandGroups[commandName] ? commandGroups[commandName][subcommandName] : themesCommands[commandName] || commands[commandName];
+
+    if (!command) {
+        process.stderr.write(`Unknown command '${positionals.join(' ')}'.\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    if (options.envs && (!targetCommands.includes(commandName) || options.env || options.space || options.progress)) {
+        process.stderr.write(`The option --envs can only be used with the commands ${targetCommands.join(", ")} and not together with --env, --space and --progress.\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    // the preview themes are named after the theme, so it's required even though no instance is created for it
+    if (commandName == 'preview' && !options.theme && !process.env.VPRT_THEMENAME) {
+        process.stderr.write(`The command '${positionals.join(' ')}' requires --theme or the environmental variable VPRT_THEMENAME.\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    const logOptions = {
+        logLevel: options['log-level'],
+        logFormat: options['log-format'],
+        quiet: options.quiet,
+
+        // keep stdout free for the JSON result
+        logStream: options.json ? process.stderr : undefined,
+    };
+
+    try {
+        let output;
+
+        if (commandGroups[commandName] || themesCommands[commandName]) {
+            output = normalizeOutput(await command(options, logOptions));
+        } else if (options.envs) {
+            output = await runTargets(commandName, options, logOptions);
+        } else {
+            const theme = new ViewportTheme({ themeName: options.theme, envName: options.env, spaceKey: options.space, ...logOptions });
+
+            if (options.progress) {
+                ViewportTheme.renderProgress(theme);
+            }
+
+            output = normalizeOutput(await command(theme, options));
+        }
+
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ command: positionals.join(' '), ok: true, result: output.result }, null, 2) + '\n');
+        } else if (commandName == 'env') {
+            output.result.forEach(item => {
+                process.stdout.write(`${item.envName}\t${item.confluenceBaseUrl}\t${item.spaceKey || 'GLOBAL'}\n`);
+            });
+        } else if (commandName == 'info') {
+            const { release } = output.result;
+            Object.keys(release || {}).forEach(item => {
+                process.stdout.write(`${item}\t${release[item]}\n`);
+            });
+        } else if (commandName == 'list') {
+            output.result.forEach(item => {
+                process.stdout.write(`${item.themeName}\t${item.spaceKey || 'GLOBAL'}\t${item.themeId}\n`);
+            });
+        } else if (commandName == 'preview' && subcommandName == 'gc') {
+            output.result.deleted.forEach(item => {
+                process.stdout.write(`${item.themeName}\t${options['dry-run'] ? 'would be deleted' : 'deleted'}\t${item.reason}\n`);
+            });
+        } else if (options.envs) {
+            output.result.targets.forEach(item => {
+                process.stdout.write(`${item.envName}\t${item.spaceKey || 'GLOBAL'}\t${item.ok ? 'ok' : `failed\t${item.error}`}\n`);
+            });
+        }
+
+        return output.exitCode;
+    } catch (err) {
+        if (options.json) {
+            const { name, status, url, body, hint } = err;
+            process.stdout.write(JSON.stringify({ command: positionals.join(' '), ok: false, error: err.message, errorDetails: { name, status, url, body, hint } }, null, 2) + '\n');
+        } else {
+            console.error(err.message);
+            if (err.hint) {
+                console.error(err.hint);
+            }
+        }
+
+        return err instanceof ThemeNotFoundError ? EXIT_THEME_NOT_FOUND : EXIT_FAILURE;
+    }
+}
+
+// ----------------- Helpers ----------------- //
+
+// parses --option value, --option=value and flags, everything else is a positional argument
+function parseArgs(args) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const separatorIndex = arg.indexOf('=');
+        const name = arg.slice(2, separatorIndex == -1 ? undefined : separatorIndex);
+        let value;
+
+        if (!flags.includes(name) && !valueOptions.includes(name)) {
+            throw new Error(`Unknown option '--${name}'.`);
+        } else if (flags.includes(name)) {
+            if (separatorIndex != -1) {
+                throw new Error(`The option '--${name}' doesn't take a value.`);
+            }
+            value = true;
+        } else if (separatorIndex != -1) {
+            value = arg.slice(separatorIndex + 1);
+        } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+            value = args[++i];
+        } else {
+            throw new Error(`The option '--${name}' requires a value.`);
+        }
+
+        if (multiOptions.includes(name)) {
+            options[name] = (options[name] || []).concat(value);
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { positionals, options };
+}
+
+// runs an upload command for every target of --envs, the command fails if one of the targets failed
+async function runTargets(commandName, options, logOptions) {
+    const uploadOptions = getUploadOptions(options, commandName);
+
+    const summary = await ViewportTheme.deployTargets({
+        themeName: options.theme,
+        targets: options.envs,
+        method: commandName,
+        concurrency: options.parallel === undefined ? 1 : Number(options.parallel),
+        ...logOptions,
+    }, uploadOptions, options.verbose);
+
+    // errors aren't serializable to JSON, so only their messages are kept
+    const targets = summary.targets.map(({ error, ...item }) => ({ ...item, error: error && error.message }));
+
+    return { result: { ok: summary.ok, targets }, exitCode: summary.ok ? EXIT_SUCCESS : EXIT_FAILURE };
+}
+
+// runs an upload command for the preview theme of --branch
+async function runPreview(commandName, options, logOptions) {
+    const uploadOptions = getUploadOptions(options, commandName);
+
+    return ViewportTheme.deployPreview({
+        themeName: options.theme,
+        branch: options.branch,
+        ttl: options.ttl === undefined ? undefined : Number(options.ttl),
+        method: commandName,
+        envName: options.env,
+        spaceKey: options.space,
+        ...logOptions,
+    }, uploadOptions, options.verbose);
+}
+
+// create() also loads the themeId the other methods depend on, but it must not create a theme implicitly
+async function initTheme(theme) {
+    if (!await theme.exists()) {
+        throw new ThemeNotFoundError(`The theme '${theme.themeName}' doesn't exist in Scroll Viewport. Please run '${PLUGIN_NAME} create' first.`, { spaceKey: theme.spaceKey });
+    }
+    await theme.create();
+}
+
+// the paths are required unless a profile is given, but may be empty to upload to the root of the theme
+// delta, transactional, debounce and the reports only apply to the methods they belong to
+function getUploadOptions(options, commandName) {
+    const { glob, source, target, profile, ignore } = options;
+    let uploadOptions;
+
+    if (profile !== undefined) {
+        if (glob || source !== undefined || target !== undefined) {
+            throw new PluginError(PLUGIN_NAME, `The option --profile can't be combined with --glob, --source and --target.`);
+        }
+        uploadOptions = { profile };
+    } else if (!glob || source === undefined || target === undefined) {
+        throw new PluginError(PLUGIN_NAME, `The options --glob, --source and --target or --profile are required.`);
+    } else {
+        uploadOptions = { glob: glob.length == 1 ? glob[0] : glob, sourcePath: source, targetPath: target };
+    }
+
+    if (ignore) {
+        uploadOptions.ignore = ignore;
+    }
+
+    if (options.delta && commandName == 'upload') {
+        uploadOptions.delta = true;
+    }
+    if (options.transactional && commandName == 'deploy') {
+        uploadOptions.transactional = true;
+    }
+    if (options.debounce !== undefined && commandName == 'watch') {
+        uploadOptions.debounce = Number(options.debounce);
+    }
+    if ((options['report-json'] || options['report-junit']) && commandName != 'watch') {
+        uploadOptions.report = {};
+        if (options['report-json']) {
+            uploadOptions.report.json = options['report-json'];
+        }
+        if (options['report-junit']) {
+            uploadOptions.report.junit = options['report-junit'];
+        }
+    }
+
+    if (options['dry-run']) {
+        uploadOptions.dryRun = true;
+    }
+
+    if (options['no-validate']) {
+        uploadOptions.validate = false;
+    }
+
+    if (options.fingerprint) {
+        uploadOptions.fingerprint = true;
+    }
+
+    // invalid numbers are reported by upload() itself
+    Object.keys(numberOptions).filter(item => options[item] !== undefined).forEach(item => {
+        uploadOptions[numberOptions[item]] = Number(options[item]);
+    });
+
+    return uploadOptions;
+}
+
+// commands either resolve with their result or with the result and a specific exit code
+function normalizeOutput(output) {
+    if (output && output.exitCode !== undefined) {
+        return output;
+    }
+    return { result: output === undefined ? null : output, exitCode: EXIT_SUCCESS };
+}
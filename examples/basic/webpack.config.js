@@ -1,32 +1,19 @@
 const path = require('path');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
-const ViewportTheme = require('@k15t/viewport-uploader');
+const { ViewportUploaderPlugin } = require('@k15t/viewport-uploader');
 
-module.exports = async (env) => {
-
-    let viewportTheme;
+module.exports = (env) => {
 
     console.log(`Environment: ${env.development ? 'Development' : 'Production'}`);
 
-    if (env.development || env.upload) {
-        // The target system needs to match with a section in .vpconfig.json
-        // How to use the different environments within the .vpconfig.json file is
-        // explained here: https://github.com/K15t/viewport-uploader/#target-environment
-        const envName = process.env.VPRT_ENV || 'DEV';
-
-        // !! Create Theme in Viewport !!
-        // Before you can upload your theme there must be a Viewport theme
-        // with the exact same name like this VPRT_THEMENAME
-        const themeName = process.env.VPRT_THEMENAME || 'My-Viewport-Theme';
+    // The target system needs to match with a section in .vpconfig.json
+    // How to use the different environments within the .vpconfig.json file is
+    // explained here: https://github.com/K15t/viewport-uploader/#target-environment
+    const envName = process.env.VPRT_ENV || 'DEV';
 
-        viewportTheme = new ViewportTheme({
-            themeName: themeName,
-            envName: envName,
-        });
-
-        await viewportTheme.create();
-    }
+    // The theme is created in Viewport on the first build if it doesn't exist yet
+    const themeName = process.env.VPRT_THEMENAME || 'My-Viewport-Theme';
 
     return {
         entry: './src/assets/scripts/index.js',
@@ -67,27 +54,16 @@ module.exports = async (env) => {
                     }
                 ]
             }),
-            {
-                apply: (compiler) => {
-                    if (env.development || env.upload) {
-                        compiler.hooks.done.tapPromise('BuildDonePlugin', async (compilation) => {
-                            try {
-                                await viewportTheme.reset();
-
-                                await viewportTheme.upload({
-                                    glob: 'build/',
-                                    targetPath: '',
-                                    sourcePath: 'build/'
-                                });
-
-                                console.log('\nUpload successful!\n');
-                            } catch (err) {
-                                console.error(err);
-                            }
-                        });
-                    }
-                }
-            }
+            // The first build removes resources from the theme that aren't part of the build anymore,
+            // in watch mode the following builds only upload the files that changed
+            ...(env.development || env.upload ? [
+                new ViewportUploaderPlugin({
+                    themeName: themeName,
+                    envName: envName,
+                    targetPath: '',
+                    sync: true
+                })
+            ] : [])
         ]
     }
 }
\ No newline at end of file
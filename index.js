@@ -2,14 +2,32 @@
 
 // ----------------- Dependencies ----------------- //
 
+const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const EventEmitter = require('events');
+const stream = require('stream');
 const PluginError = require('plugin-error');
+const slash = require('slash');
 
-const { loadConfig, loadConfigSync, createFormData, resolveGlob } = require('./lib/files');
-const { fetchTheme, existsTheme, createTheme, resetTheme, uploadTheme } = require('./lib/network');
-const { regexVal, regexValArr } = require('./lib/validate');
-const { showLog } = require('./lib/console');
+const { loadConfig, loadConfigSync, loadEnvironments, loadProjectConfigSync, createFormData, resolveGlob, getGlobBase, getStatePath, loadEntries, filterEntries, getSourcePath, getSourceSize, isGlobList } = require('./lib/files');
+const { fetchTheme, existsTheme, createTheme, resetTheme, uploadTheme, fetchResource, fetchResourceList, deleteResource, listThemes, deleteTheme, renameTheme, verifySpaceKey } = require('./lib/network');
+const { ViewportError, AuthenticationError, PermissionError, ThemeNotFoundError, UploadError, NetworkError, ConfigError, ValidationError } = require('./lib/errors');
+const { resolveValidation, validateResources } = require('./lib/validation');
+const { PREVIEW_RESOURCE, getPreviewThemeName, getPreviewBranch, createPreviewMarker, parsePreviewMarker, getExpiryReason } = require('./lib/previews');
+const { MANIFEST_RESOURCE, hashFile, createManifest, parseManifest, loadLocalManifest, saveLocalManifest, removeLocalManifest, moveLocalManifest } = require('./lib/manifest');
+const { regexVal, predicateVal, isObjectOf } = require('./lib/validate');
+const { createLogger } = require('./lib/console');
+const { SECRET_NAMES, SECRET_SOURCES, resolveCredentials } = require('./lib/credentials');
+const { createProgressTracker, renderProgress, formatBytes } = require('./lib/progress');
+const { createBatches, runConcurrently, retry, isRetryable } = require('./lib/batches');
+const { transportTemplate, createTransport } = require('./lib/transport');
+const { isMapping, isMappingList, mapPath, findCollisions } = require('./lib/mappings');
+const { createRelease, isSameRelease } = require('./lib/release');
+const { isReportOptions, createReport, finishReport, writeReport } = require('./lib/report');
+const { fingerprintAssets } = require('./lib/fingerprint');
+const { uploadFlagsTemplate } = require('./lib/upload-flags');
+const { resolveTargets, hasWildcards } = require('./lib/targets');
 
 // ----------------- Configuration ----------------- //
 
@@ -19,6 +37,27 @@ const PLUGIN_NAME = 'viewport-uploader';
 const vpconfigName = ".vpconfig.json";
 const vpconfigPath = path.join(os.homedir(), vpconfigName); // absolute path
 
+// project config files, searched for from the CWD upwards, the first one found is used
+const projectConfigNames = ['viewport.config.js', vpconfigName];
+
+// a profile is a list of options of upload() with a glob, sourcePath and targetPath each, they are validated once the profile is used
+const isProfile = value => (Array.isArray(value) ? value : [value]).every(item => isObjectOf(item, () => true));
+
+const projectThemeTemplate = {
+    'envName': value => typeof value == 'string',
+    'profiles': value => isObjectOf(value, isProfile),
+    'validation': value => isObjectOf(value, () => true),
+};
+
+const projectConfigTemplate = {
+    'defaultEnv': value => typeof value == 'string',
+    'environments': value => isObjectOf(value, item => isObjectOf(item, () => true)),
+    'themes': value => isObjectOf(value, item => isObjectOf(item, () => true) && predicateVal(projectThemeTemplate, item)),
+    'profiles': value => isObjectOf(value, isProfile),
+    'ignore': isGlobList,
+    'validation': value => isObjectOf(value, () => true),
+};
+
 // Note: If you change something in this template object, change it in viewport-cli as well!
 const targetEnvTemplate = {
     'envName': /.*/i,
@@ -28,34 +67,70 @@ const targetEnvTemplate = {
     'spaceKey': /^[a-z0-9]{0,255}$/i, // https://confluence.atlassian.com/doc/space-keys-829076188.html
 };
 
-const uploadTemplate = {
-    'targetPath': /^(([a-zA-Z0-9\_\-]*)+\/*)*$/i,
-    'sourcePath': /^(([a-zA-Z0-9\_\-]*)+\/*)*$/i,
-    'glob': /.*/i,
-};
+// the credentials are optional as long as a token or a username and a password are provided, see lib/credentials
+const targetEnvCredentialKeys = ['username'].concat(...SECRET_NAMES.map(name => SECRET_SOURCES.map(item => name + item)));
+
+// properties of a target environment that can be set in addition to or instead of the credentials of targetEnvTemplate, and the transport settings
+const targetEnvOptionalTemplate = targetEnvCredentialKeys.reduce((acc, item) => {
+    acc[item] = /.*/i;
+    return acc;
+}, { ...transportTemplate });
 
+const DEFAULT_RETRIES = 3;
+
+// methods that deployTargets() can run for every target
+const targetMethods = ['upload', 'sync', 'deploy'];
+
+// days until a preview theme expires after its last deploy
+const DEFAULT_PREVIEW_TTL = 14;
+
+// milliseconds watch() waits for further changes before uploading, and before retrying an upload that failed with a transient error
+const DEFAULT_DEBOUNCE = 300;
+const WATCH_RETRY_DELAY = 5000;
+
+// every environmental variable overrides its property of the target environment individually
 const targetEnvEV = {
     'envName': 'VPRT_ENV',
     'confluenceBaseUrl': 'VPRT_CONFLUENCEBASEURL',
     'username': 'VPRT_USERNAME',
     'password': 'VPRT_PASSWORD',
+    'token': 'VPRT_TOKEN',
     'spaceKey': 'VPRT_SPACEKEY',
+    'proxy': 'VPRT_PROXY',
+    'noProxy': 'VPRT_NOPROXY',
+    'caFile': 'VPRT_CAFILE',
+    'timeout': 'VPRT_TIMEOUT',
+    'keepAlive': 'VPRT_KEEPALIVE',
 };
 
 const themeNameEV = 'VPRT_THEMENAME';
 
+// prefix of the environmental variables, unknown ones are reported since they are most likely misspelled
+const EV_PREFIX = 'VPRT_';
+
 const RESTURL_BASE = `/rest/scroll-viewport/1.0`;
 const getRestUrlForThemeObject = (baseUrl, themeName, spaceKey) => baseUrl + `/theme?name=${themeName}&scope=${spaceKey}`;
 const getRestUrlForThemeCreation = (baseUrl) => baseUrl + `/theme`;
 const getRestUrlForThemeResources = (baseUrl, themeId) => baseUrl + `/theme/${themeId}/resource`;
+const getRestUrlForThemeList = (baseUrl, spaceKey) => baseUrl + `/theme?scope=${spaceKey}`;
+const getRestUrlForTheme = (baseUrl, themeId) => baseUrl + `/theme/${themeId}`;
+
+// the theme name of the instance list() uses to reach a target environment, it's never sent to Scroll Viewport
+const LIST_THEME_NAME = '*';
+
+// the report of the last upload(), sync() or deploy() of every theme, deployTargets() combines the ones of all targets
+const lastReports = new WeakMap();
 
 // ----------------- Class ----------------- //
 
-class ViewportTheme {
+// emits 'progress' events while resources are uploaded, see README for the properties of the event
+class ViewportTheme extends EventEmitter {
 
     // ------------ Constructor ------------ //
 
-    constructor({ themeName, envName }) {
+    constructor({ themeName, envName, spaceKey, logger, logLevel, logFormat, logStream, quiet, fetch }) {
+
+        super();
 
         // if environmental variable exist, use it
         themeName = process.env[themeNameEV] || themeName;
@@ -65,46 +140,142 @@ class ViewportTheme {
             throw new PluginError(PLUGIN_NAME, `Can't initialize ViewportTheme instance since themeName is missing.`)
         }
 
-        let targetEnv;
+        // every record of the logger names the theme, the target environment is added once it's known
+        // secrets are added as soon as they're resolved such that they're never logged
+        const logContext = { themeName };
+        const secrets = [];
+        this.logger = createLogger({ logger, logLevel, logFormat, logStream, quiet, context: logContext, secrets });
+
+        // the project config may provide the target environment, see README for the precedence
+        const { projectConfigPath, projectConfig } = loadProjectConfig();
+        const themeConfig = (projectConfig.themes || {})[themeName] || {};
 
-        // if environmental variables all exist, use them
-        if (Object.values(targetEnvEV).every(item => !!process.env[item])) {
+        // an envName passed to the constructor wins over VPRT_ENV, which is most likely set for a reason, so it isn't ignored silently
+        if (envName && process.env[targetEnvEV.envName] && process.env[targetEnvEV.envName] != envName) {
+            this.logger.warn(`The environmental variable ${targetEnvEV.envName} selects the target environment '${process.env[targetEnvEV.envName]}', but the envName '${envName}' is used instead.`,
+                { event: 'env.ignored', envName, variable: targetEnvEV.envName });
+        }
 
-            targetEnv = Object.keys(targetEnvTemplate).reduce((acc, item) => {
-                acc[item] = process.env[targetEnvEV[item]];
-                return acc;
-            }, {});
+        envName = envName || process.env[targetEnvEV.envName] || themeConfig.envName || projectConfig.defaultEnv;
 
-            showLog(
-                `The target environment '${process.env.VPRT_ENV}' out of the environmental variables will be used for the theme '${themeName}'.`);
+        const envVariables = getEnvVariables();
 
-         // if not, use config file if envName is provided
-        } else if (envName) {
+        let targetEnv;
+        let targetEnvSources;
 
-            // load target environment from config file
-            targetEnv = loadConfigSync(envName, vpconfigName, vpconfigPath);
+        // use config files if they define the target environment, otherwise the environmental variables must define it completely
+        if (envName && hasTargetEnvSync(envName, projectConfig)) {
 
-            showLog(`The target environment '${targetEnv.envName}' out of the '${vpconfigName}' config file will be used for the theme '${themeName}'.`);
+            // load target environment from the project config and the config file in the home directory
+            ({ targetEnv, targetEnvSources } = loadTargetEnvSync(envName, projectConfigPath, projectConfig));
 
-            // if not, use environmental variables, if they all exist
+        } else if (isTargetEnvComplete(envVariables)) {
+            targetEnv = {};
+            targetEnvSources = {};
 
-         // else throw
         } else {
-            throw new PluginError(PLUGIN_NAME,
-                `Can't initialize ViewportTheme instance since envName or environmental variables are missing.`)
+
+            // tell why the environmental variables that are set aren't enough
+            const setVariables = Object.keys(envVariables).map(item => targetEnvEV[item]);
+            const incompleteMessage = setVariables.length ? ` The environmental variables ${setVariables.join(", ")} are set, but don't define a complete target environment.` : '';
+
+            if (envName) {
+                try {
+                    // throws since the target environment doesn't exist
+                    loadConfigSync(envName, vpconfigName, vpconfigPath);
+                } catch (err) {
+                    err.message += incompleteMessage;
+                    throw err;
+                }
+            }
+
+            throw new ConfigError(
+                `Can't initialize ViewportTheme instance since envName or environmental variables are missing.${incompleteMessage}`)
         }
 
-        // validate target environment, if targetEnv passes check contains exactly the properties of targetEnvTemplate
-        if (!regexVal(targetEnvTemplate, targetEnv)) {
-            throw new PluginError(PLUGIN_NAME,
-                `The target environment '${targetEnv.envName}' in ~/${vpconfigName} contains invalid properties. Please see https://github.com/K15t/viewport-uploader for further information on how to add target environments to ~/${vpconfigName}.`);
+        // the environmental variables override the config files property by property, except for envName which only selects the target environment
+        Object.keys(envVariables).filter(item => item != 'envName' || !targetEnv.envName).forEach(item => {
+
+            // a secret from the environment replaces the other sources of the secret in the config files
+            if (SECRET_NAMES.includes(item)) {
+                SECRET_SOURCES.forEach(source => {
+                    delete targetEnv[item + source];
+                    delete targetEnvSources[item + source];
+                });
+            }
+
+            targetEnv[item] = envVariables[item];
+            targetEnvSources[item] = targetEnvEV[item];
+        });
+
+        // a space key passed to the constructor overrides all other sources, e.g. to upload to several spaces of the same environment
+        if (spaceKey !== undefined) {
+            targetEnv.spaceKey = spaceKey;
+            targetEnvSources.spaceKey = 'spaceKey option';
+        }
+
+        const targetEnvSource = Array.from(new Set(Object.values(targetEnvSources))).join(", ");
+
+        // the transport settings are strings like all other properties, but numbers and booleans are natural in the config files
+        Object.keys(transportTemplate).filter(item => typeof targetEnv[item] == 'number' || typeof targetEnv[item] == 'boolean').forEach(item => {
+            targetEnv[item] = String(targetEnv[item]);
+        });
+
+        // validate target environment, if targetEnv passes check contains the properties of targetEnvTemplate, except for the credentials
+        // which may be provided in other ways, and no properties outside of targetEnvTemplate and targetEnvOptionalTemplate
+        const targetEnvFullTemplate = { ...targetEnvTemplate, ...targetEnvOptionalTemplate };
+        const hasRequiredKeys = Object.keys(targetEnvTemplate).every(item => targetEnvCredentialKeys.includes(item) || targetEnv.hasOwnProperty(item));
+        const targetEnvUsedTemplate = Object.keys(targetEnv).filter(item => targetEnvFullTemplate[item]).reduce((acc, item) => {
+            acc[item] = targetEnvFullTemplate[item];
+            return acc;
+        }, {});
+
+        if (!hasRequiredKeys || !regexVal(targetEnvUsedTemplate, targetEnv)) {
+            throw new ConfigError(
+                `The target environment '${targetEnv.envName}' in ${targetEnvSource} contains invalid properties. Please see https://github.com/K15t/viewport-uploader for further information on how to add target environments to ~/${vpconfigName}.`);
         }
 
+        this.logger.info(`The target environment '${targetEnv.envName}' out of ${targetEnvSource} will be used for the theme '${themeName}'.`,
+            { event: 'env', envName: targetEnv.envName, source: targetEnvSource });
+        this.logger.debug(`The properties of the target environment '${targetEnv.envName}' are set by: ${Object.keys(targetEnvSources).map(item => `${item} (${targetEnvSources[item]})`).join(", ")}.`,
+            { event: 'env.sources', sources: targetEnvSources });
+
+        logContext.envName = targetEnv.envName;
+
+        // read the secrets from their sources, e.g. a file or a command
+        const credentials = resolveCredentials(targetEnv);
+
+        warnUnusedEnvVariables(this.logger, envVariables, credentials);
+
         // set properties of 'this' from targetEnv
-        const targetEnvTemplateKeys = Object.keys(targetEnvTemplate);
-        targetEnvTemplateKeys.forEach(item => {
+        ['envName', 'confluenceBaseUrl', 'spaceKey'].forEach(item => {
             this[item] = targetEnv[item];
         });
+        this.username = credentials.username;
+
+        // Note: the secrets aren't enumerable such that they don't show up when the instance is logged or serialized
+        Object.defineProperty(this, 'password', { value: credentials.password, writable: true });
+        Object.defineProperty(this, 'token', { value: credentials.token, writable: true });
+
+        // every request of the instance is sent with the transport, e.g. through the proxy, see lib/transport
+        Object.defineProperty(this, 'transport', { value: createTransport(targetEnv, fetch) });
+
+        secrets.push(...this.secrets);
+
+        // cloneTo() logs the same way for the copy, rename() updates the context
+        Object.defineProperty(this, 'logOptions', { value: { logger, logLevel, logFormat, logStream, quiet } });
+        Object.defineProperty(this, 'logContext', { value: logContext });
+
+        // upload profiles of the theme take precedence over the ones of the project, ignore patterns apply to every upload
+        this.profiles = { ...projectConfig.profiles, ...themeConfig.profiles };
+
+        // the environmental variable or config file each property of the target environment was taken from
+        this.targetEnvSources = targetEnvSources;
+        this.ignore = [].concat(projectConfig.ignore || []);
+
+        // the validation settings of the theme are merged over the ones of the project, invalid settings fail early
+        this.validation = resolveValidation(projectConfig.validation, themeConfig.validation);
+        this.projectConfigPath = projectConfigPath;
 
         // set remaining properties of 'this'
         this.themeName = themeName;
@@ -113,12 +284,226 @@ class ViewportTheme {
         this.doesThemeExist = undefined;
     }
 
+    // ------------ Static methods ------------ //
+
+    // lists the target environments of ~/.vpconfig.json, the project config and the environmental variables without their credentials
+    static async listEnvironments() {
+        const projectEnvironments = loadProjectConfig().projectConfig.environments || {};
+        const envVariables = getEnvVariables();
+
+        // ~/.vpconfig.json is optional if the project config or the environmental variables define environments
+        const vpconfig = (Object.keys(projectEnvironments).length || isTargetEnvComplete(envVariables)) && !await fs.pathExists(vpconfigPath)
+            ? {} : await loadEnvironments(vpconfigName, vpconfigPath);
+
+        const envNames = Array.from(new Set(Object.keys(vpconfig).concat(Object.keys(projectEnvironments))
+            .concat(isTargetEnvComplete(envVariables) ? [envVariables.envName] : [])));
+
+        return envNames.map(item => {
+
+            // the environmental variables override the target environment they select, like in the constructor
+            const targetEnv = { ...vpconfig[item], ...projectEnvironments[item], ...(item == envVariables.envName ? envVariables : {}) };
+            return {
+                envName: item,
+                confluenceBaseUrl: targetEnv.confluenceBaseUrl,
+                spaceKey: targetEnv.spaceKey,
+            };
+        });
+    }
+
+    // lists the themes of a space of a target environment, scope defaults to the space key of the target environment, an empty scope lists the global themes
+    // further options like the log options are passed on to the constructor
+    static async list(envName, scope, options = {}) {
+
+        // Note: the instance only provides the target environment and the credentials
+        const theme = new ViewportTheme({ ...options, themeName: LIST_THEME_NAME, envName, spaceKey: scope });
+        const themes = await listThemes.apply(theme);
+
+        return themes.map(item => ({ themeId: item.id, themeName: item.name, spaceKey: item.scope }));
+    }
+
+    // creates the theme if needed and runs upload(), sync() or deploy() with the same options for several targets, see README for the targets
+    // resolves with a summary per target once all targets are done, a failing target doesn't stop the others
+    static async deployTargets({ themeName, targets, method = 'upload', concurrency = 1, logger, logLevel, logFormat, logStream, quiet, fetch }, options, verbose) {
+
+        const logOptions = { logger, logLevel, logFormat, logStream, quiet };
+        const summaryLogger = createLogger({ ...logOptions, context: { themeName } });
+
+        // the reports of all targets are written to a single file once they're done instead of by every target
+        const { report: reportOptions, ...targetOptions } = options || {};
+
+        if (!targetMethods.includes(method) || !Number.isInteger(concurrency) || concurrency < 1 || (reportOptions !== undefined && !isReportOptions(reportOptions))) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to deployTargets() are invalid. Please provide a method out of ${targetMethods.join(", ")}, a positive integer as concurrency and valid report options.`);
+        }
+
+        // the known target environments are only needed to resolve wildcards
+        const envNames = [].concat(targets).some(item => hasWildcards(typeof item == 'string' ? item : (item || {}).envName))
+            ? (await ViewportTheme.listEnvironments()).map(item => item.envName)
+            : [];
+
+        const resolvedTargets = resolveTargets(targets, envNames);
+        const dryRun = !!(options && options.dryRun);
+
+        summaryLogger.info(`Running ${method}() of theme '${themeName}' for ${resolvedTargets.length} targets: ${resolvedTargets.map(formatTarget).join(", ")}...`,
+            { event: 'targets.start', method, targets: resolvedTargets });
+
+        // the results are in the order of the targets since they're added when a target starts
+        const results = [];
+        const reports = new Map();
+
+        await runConcurrently(resolvedTargets.map(target => async () => {
+            const result = { ...target, ok: false, result: undefined, error: undefined };
+            results.push(result);
+
+            let theme;
+            try {
+                theme = new ViewportTheme({ themeName, ...target, ...logOptions, fetch });
+                result.spaceKey = theme.spaceKey;
+
+                if (!dryRun) {
+                    await theme.create();
+                }
+
+                result.result = await theme[method](targetOptions, verbose);
+                result.ok = true;
+
+                summaryLogger.info(`${method}() of theme '${themeName}' succeeded for target ${formatTarget(result)}.`, { event: 'target.done', ...target });
+            } catch (err) {
+                result.error = err;
+                summaryLogger.error(`${method}() of theme '${themeName}' failed for target ${formatTarget(result)}: ${err.message}`, { event: 'target.failed', ...target, error: err.message });
+            }
+
+            // a target that failed before the method ran, e.g. in create(), has no report of its own yet
+            reports.set(result, theme && lastReports.get(theme) || finishReport(createReport(method, { themeName, envName: result.envName, spaceKey: result.spaceKey }), result.error));
+        }), concurrency);
+
+        // like with runWithReport(), the results of the targets are kept if the report can't be written
+        if (reportOptions !== undefined && !dryRun) {
+            await writeReport(results.map(item => reports.get(item)), reportOptions).then(() => {
+                summaryLogger.info(`The report of ${method}() has been written to ${Object.values(reportOptions).join(", ")}.`, { event: 'report.written', files: Object.values(reportOptions) });
+            }, err => {
+                summaryLogger.error(`Can't write the report of ${method}(): ${err.message}`, { event: 'report.failed', error: err.message });
+            });
+        }
+
+        const failedCount = results.filter(item => !item.ok).length;
+
+        summaryLogger[failedCount ? 'error' : 'info'](`${method}() of theme '${themeName}' succeeded for ${results.length - failedCount} of ${results.length} targets.`,
+            { event: 'targets.done', method, succeeded: results.length - failedCount, failed: failedCount });
+
+        return { ok: !failedCount, targets: results };
+    }
+
+    // creates the preview theme of a branch, e.g. 'my-theme--feature-x', and runs upload(), sync() or deploy() with the options
+    // a marker with the branch and the expiry date, ttl days after this deploy, is stored in the theme for collectPreviews()
+    // resolves with the name of the preview theme, the marker and the result of the method
+    static async deployPreview({ themeName, branch, ttl = DEFAULT_PREVIEW_TTL, method = 'sync', envName, spaceKey, ...logOptions }, options, verbose) {
+
+        if (!targetMethods.includes(method) || typeof ttl != 'number' || !(ttl > 0)) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to deployPreview() are invalid. Please provide a method out of ${targetMethods.join(", ")} and a positive number of days as ttl.`);
+        }
+
+        const baseThemeName = getBaseThemeName(themeName, 'deployPreview');
+        const previewThemeName = getPreviewThemeName(baseThemeName, branch);
+
+        const theme = new ViewportTheme({ themeName: previewThemeName, envName, spaceKey, ...logOptions });
+        setThemeName.call(theme, previewThemeName);
+
+        const marker = createPreviewMarker(baseThemeName, branch, ttl);
+
+        if (options && options.dryRun) {
+            return { themeName: previewThemeName, marker, result: await theme[method](options, verbose) };
+        }
+
+        await theme.create();
+
+        let result;
+        try {
+            result = await theme[method](options, verbose);
+        } catch (err) {
+
+            // a failed deploy() may have reset the theme, without the marker collectPreviews() would never delete it
+            await uploadPreviewMarker.call(theme, marker).catch(markerErr => {
+                theme.logger.warn(`Can't write the preview marker of theme '${previewThemeName}': ${markerErr.message}`, { event: 'preview.marker.failed', error: markerErr.message });
+            });
+            throw err;
+        }
+
+        // written last since deploy() resets the theme
+        await uploadPreviewMarker.call(theme, marker);
+
+        theme.logger.info(`The preview of branch '${marker.branch}' has been deployed to theme '${previewThemeName}' and expires at ${marker.expiresAt}.`,
+            { event: 'preview.done', branch: marker.branch, expiresAt: marker.expiresAt });
+
+        return { themeName: previewThemeName, marker, result };
+    }
+
+    // deletes the preview themes of a theme that expired, were deployed more than maxAge days ago or whose branch isn't in branches
+    // themes named like a preview but without a marker are never deleted, resolves with the deleted and the kept previews
+    static async collectPreviews({ themeName, branches, maxAge, envName, spaceKey, dryRun = false, ...logOptions }) {
+
+        if ((branches !== undefined && !Array.isArray(branches)) || (maxAge !== undefined && (typeof maxAge != 'number' || maxAge < 0))) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to collectPreviews() are invalid. Please provide branches as a list of branch names and maxAge as a number of days.`);
+        }
+
+        const baseThemeName = getBaseThemeName(themeName, 'collectPreviews');
+        const themes = await ViewportTheme.list(envName, spaceKey, logOptions);
+        const previews = themes.filter(item => getPreviewBranch(baseThemeName, item.themeName) !== undefined);
+
+        const deleted = [];
+        const kept = [];
+
+        for (const item of previews) {
+            const theme = new ViewportTheme({ themeName: item.themeName, envName, spaceKey: item.spaceKey, ...logOptions });
+            setThemeName.call(theme, item.themeName);
+            theme.themeId = item.themeId;
+            theme.doesThemeExist = true;
+
+            const contents = await fetchResource.call(theme, PREVIEW_RESOURCE);
+            const marker = contents && parsePreviewMarker(contents);
+
+            if (!marker) {
+                theme.logger.warn(`Won't delete theme '${item.themeName}' since it has no preview marker.`, { event: 'preview.skip' });
+                kept.push({ themeName: item.themeName, branch: undefined, expiresAt: undefined });
+                continue;
+            }
+
+            const reason = getExpiryReason(marker, { branches, maxAge });
+
+            if (!reason) {
+                kept.push({ themeName: item.themeName, branch: marker.branch, expiresAt: marker.expiresAt });
+                continue;
+            }
+
+            if (dryRun === true) {
+                theme.logger.info(`Dry run: delete preview theme '${item.themeName}' (${reason}).`, { event: 'preview.plan', branch: marker.branch, reason });
+            } else {
+                await theme.delete();
+            }
+
+            deleted.push({ themeName: item.themeName, branch: marker.branch, expiresAt: marker.expiresAt, reason });
+        }
+
+        return { deleted, kept };
+    }
+
     // ------------ Getters ------------ //
 
+    // a personal access token is sent as bearer token, otherwise username and password are sent with HTTP Basic auth
     get autorisation() {
+        if (this.token) {
+            return 'Bearer ' + this.token;
+        }
         return 'Basic ' + Buffer.from(this.username + ':' + this.password).toString('base64');
     }
 
+    // values that must never show up in errors and log records
+    get secrets() {
+        return [this.password, this.token, this.autorisation.split(' ')[1]].concat(this.transport.secrets).filter(item => !!item);
+    }
+
     get restUrlBase() {
         return this.confluenceBaseUrl + RESTURL_BASE;
     }
@@ -140,6 +525,24 @@ class ViewportTheme {
         return getRestUrlForThemeResources(this.restUrlBase, this.themeId);
     }
 
+    get restUrlForThemeList() {
+        return getRestUrlForThemeList(this.restUrlBase, this.spaceKey);
+    }
+
+    // call only after create() like restUrlForThemeResources
+    get restUrlForTheme() {
+        if (!this.themeId) {
+            throw new PluginError(PLUGIN_NAME,
+                `Can't build REST URL for theme because themeId isn't initialised yet. Please create the theme first.`)
+        }
+        return getRestUrlForTheme(this.restUrlBase, this.themeId);
+    }
+
+    // identifies the local state of the theme like manifest and snapshots, the theme name alone isn't unique across instances and spaces
+    get stateKey() {
+        return `${this.confluenceBaseUrl}-${this.spaceKey || 'GLOBAL'}-${this.themeName}`;
+    }
+
     // ------------ Methods on prototype chain ------------ //
 
     // checks if theme exists in Scroll Viewport
@@ -147,25 +550,39 @@ class ViewportTheme {
 
         // on first run set if theme exists or not
         if (this.doesThemeExist === undefined) {
-            showLog(`Checking if theme \'${this.themeName}\' exists in Scroll Viewport...`);
+            this.logger.info(`Checking if theme \'${this.themeName}\' exists in Scroll Viewport...`, { event: 'exists.start' });
             this.doesThemeExist = await existsTheme.apply(this);
         }
 
-        showLog(`The theme \'${this.themeName}\' does ${this.doesThemeExist ? 'exist' : 'not exist'} in Scroll Viewport.`);
+        this.logger.info(`The theme \'${this.themeName}\' does ${this.doesThemeExist ? 'exist' : 'not exist'} in Scroll Viewport.`, { event: 'exists.done', exists: this.doesThemeExist });
         return this.doesThemeExist;
     };
 
     // creates theme in Scroll Viewport
-    async create() {
+    // with options.dryRun set, only resolves with what would be done without contacting Scroll Viewport
+    async create({ dryRun = false } = {}) {
+
+        if (dryRun === true) {
+
+            // only known if exists() has been called before
+            const action = this.doesThemeExist === undefined ? 'create if missing' : this.doesThemeExist ? 'none' : 'create';
+            const plan = { operation: 'create', ...getPlanTarget.apply(this), exists: this.doesThemeExist, action };
+
+            this.logger.info(`Dry run: create theme '${this.themeName}' in space '${this.spaceKey || 'GLOBAL'}' at '${this.confluenceBaseUrl}', action: ${action}.`, { event: 'create.plan', plan });
+            return plan;
+        }
 
         if (await this.exists()) {
-            showLog(`Won't create theme \'${this.themeName}\' since it already exists.`);
+            this.logger.info(`Won't create theme \'${this.themeName}\' since it already exists.`, { event: 'create.skip' });
             // don't throw otherwise other methods are unusable since themeId is not set yet
             // throw new PluginError(PLUGIN_NAME, `Can not create theme \'${this.themeName}\' since it already exists.`)
         } else {
-            showLog(`Creating theme '${this.themeName}' in Scroll Viewport...`);
+            this.logger.info(`Creating theme '${this.themeName}' in Scroll Viewport...`, { event: 'create.start' });
+
+            // a space key in the wrong case is the most common reason why an existing theme isn't found
+            await verifySpaceKey.apply(this);
             await createTheme.apply(this);
-            showLog(`The theme '${this.themeName}' has been successfully created.`);
+            this.logger.info(`The theme '${this.themeName}' has been successfully created.`, { event: 'create.done' });
             this.doesThemeExist = true;
         }
 
@@ -175,78 +592,1182 @@ class ViewportTheme {
     }
 
     // removes all resources from theme in Scroll Viewport
-    async reset() {
+    // with options.dryRun set, only resolves with what would be done without contacting Scroll Viewport
+    async reset({ dryRun = false } = {}) {
+
+        if (dryRun === true) {
+
+            // the resources are only known from the local copy of the manifest
+            const manifest = await loadLocalManifest(this.stateKey, this.themeId);
+            const plan = { operation: 'reset', ...getPlanTarget.apply(this), resources: manifest ? Object.keys(manifest.files) : undefined };
+
+            this.logger.info(`Dry run: reset theme '${this.themeName}' in space '${this.spaceKey || 'GLOBAL'}' at '${this.confluenceBaseUrl}', deleting ${manifest ? `${plan.resources.length} known` : 'all'} resources.`, { event: 'reset.plan', plan });
+            plan.resources && plan.resources.forEach(item => {
+                this.logger.info(item + " (deleted)", { event: 'file.plan', file: item });
+            });
+            return plan;
+        }
 
         // obligatory existence check
         if (!await this.exists()) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can't reset resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`)
+            throw new ThemeNotFoundError(
+                `Can't reset resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
         }
 
-        showLog(`Resetting theme '${this.themeName}' in Scroll Viewport...`);
+        this.logger.info(`Resetting theme '${this.themeName}' in Scroll Viewport...`, { event: 'reset.start' });
 
         await resetTheme.apply(this);
 
-        showLog(`The theme '${this.themeName}' has been successfully reset.`);
+        // the manifest was deleted together with the resources, the local copy is outdated now
+        await removeLocalManifest(this.stateKey);
+
+        this.logger.info(`The theme '${this.themeName}' has been successfully reset.`, { event: 'reset.done' });
     }
 
     // overwrites existing resources in theme with new ones in Scroll Viewport
+    // with options.delta set, only resources whose content changed since the last upload are sent
+    // with options.dryRun set, only resolves with the plan of the upload without contacting Scroll Viewport
+    // with options.report set, a report of the files is written once the upload is done, see runWithReport()
     async upload(options, verbose) {
 
+        return runWithReport.call(this, 'upload', options, async report => {
+
+            const { glob, entries, flags, sourcePaths, targetPaths } = await resolveUploadOptions.call(this, 'upload', options);
+
+            if (flags.dryRun === true) {
+                return planUpload.call(this, 'upload', sourcePaths, targetPaths, flags);
+            }
+
+            // obligatory existence check
+            if (!await this.exists()) {
+                throw new ThemeNotFoundError(
+                    `Can't update resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
+            }
+
+            if (!sourcePaths.length) {
+                this.logger.info(`Won't upload since ${describeNoFiles(glob)}.`, { event: 'upload.skip', glob });
+                return; // break out of function, async func returns a resolved promise with value undefined, same as if it finished until end
+            }
+
+            if (verbose !== true) {
+                // glob is either a string or string array, otherwise would have bailed out since no files were found, in-memory entries don't have one
+                entries.filter(item => item.glob !== undefined).forEach(({ glob, sourcePath, targetPath }) => {
+                    [].concat(glob).forEach(item => {
+                        this.logger.info(item + " => " + path.join(targetPath, path.relative(sourcePath, item)), { event: 'upload.glob', glob: item });
+                    });
+                });
+            }
+
+            return uploadFiles.call(this, sourcePaths, targetPaths, { ...flags, verbose, release: report.release, report });
+        });
+    }
+
+    // makes the theme in Scroll Viewport mirror the local files, uploads new and changed resources and deletes orphaned ones afterwards
+    // unlike reset() followed by upload() the theme is never left empty in between
+    async sync(options, verbose) {
+
+        return runWithReport.call(this, 'sync', options, async report => {
+
+            const { glob, flags, sourcePaths, targetPaths } = await resolveUploadOptions.call(this, 'sync', options);
+
+            // orphaned resources are only known from the local copy of the manifest in a dry run
+            if (flags.dryRun === true) {
+                return planUpload.call(this, 'sync', sourcePaths, targetPaths, { ...flags, delta: true });
+            }
+
+            // obligatory existence check
+            if (!await this.exists()) {
+                throw new ThemeNotFoundError(
+                    `Can't sync resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
+            }
+
+            // an empty glob would delete every resource, which is almost certainly a mistake in the glob
+            if (!sourcePaths.length) {
+                this.logger.info(`Won't sync since ${describeNoFiles(glob)}.`, { event: 'sync.skip', glob });
+                return;
+            }
+
+            // the marker of a preview theme is written by deployPreview() after the sync
+            const remotePaths = await this.listResources();
+            const orphanedPaths = remotePaths.filter(item => !targetPaths.includes(item) && item != PREVIEW_RESOURCE);
+
+            // resources deleted from the theme elsewhere may still be listed in the manifest, so they're uploaded regardless of their hash
+            const missingPaths = targetPaths.filter(item => !remotePaths.includes(item));
+
+            // the orphaned resources are removed from the manifest already, such that a failed deletion is retried on the next sync
+            const { uploaded, skipped } = await uploadFiles.call(this, sourcePaths, targetPaths, { ...flags, delta: true, verbose, removedPaths: orphanedPaths, forcedPaths: missingPaths, release: report.release, report });
+
+            if (orphanedPaths.length) {
+                this.logger.info(`Deleting ${orphanedPaths.length} orphaned resources from theme '${this.themeName}' in Scroll Viewport...`, { event: 'delete.start', count: orphanedPaths.length });
+
+                for (const item of orphanedPaths) {
+                    const start = Date.now();
+                    await deleteResource.call(this, item);
+                    report.files.push({ targetPath: item, status: 'deleted', duration: Date.now() - start });
+                    this.logger[verbose === true ? 'info' : 'debug'](item + " (deleted)", { event: 'file.delete', file: item });
+                }
+
+                this.logger.info(`The ${orphanedPaths.length} orphaned resources have been successfully deleted.`, { event: 'delete.done', count: orphanedPaths.length });
+            }
+
+            return { uploaded, skipped, deleted: orphanedPaths };
+        });
+    }
+
+    // uploads new and changed resources whenever the files matching the glob change on disk, and deletes the resources of deleted files
+    // changes are collected until no further change happened for options.debounce milliseconds, failed uploads are logged and don't stop watching
+    // resolves after the initial upload with a watcher, whose close() stops watching once a running upload is done
+    async watch(options, verbose) {
+
+        const { debounce = DEFAULT_DEBOUNCE, ...uploadOptions } = options;
+
+        if (!Number.isInteger(debounce) || debounce < 0 || uploadOptions.dryRun !== undefined || uploadOptions.files !== undefined || uploadOptions.report !== undefined) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to watch() are invalid. Please provide options glob, sourcePath, targetPath or mappings and optionally debounce according to the documentation, dryRun, files and report aren't supported.`);
+        }
+
         // obligatory existence check
         if (!await this.exists()) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can't update resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`)
+            throw new ThemeNotFoundError(
+                `Can't watch resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
         }
 
-        // validate arguments, if options passes check contains exactly the properties of uploadTemplate
-        if (!regexValArr(uploadTemplate, options)) {
+        // target paths of the last successful upload, resources of files that don't match the glob anymore are deleted
+        let knownPaths;
+        let pendingDeletions = [];
+
+        // the glob is resolved again on every change, such that new files are picked up
+        let entries;
+        const flush = async () => {
+            const resolved = await resolveUploadOptions.call(this, 'watch', uploadOptions);
+            const { flags, sourcePaths, targetPaths } = resolved;
+            entries = resolved.entries;
+            const removedPaths = (knownPaths || []).filter(item => !targetPaths.includes(item))
+                .concat(pendingDeletions.filter(item => !targetPaths.includes(item)))
+                .filter((item, i, arr) => arr.indexOf(item) == i);
+
+            const result = await uploadFiles.call(this, sourcePaths, targetPaths, { ...flags, delta: true, verbose, removedPaths, release: createRelease(flags.release) });
+            knownPaths = targetPaths;
+            pendingDeletions = removedPaths;
+
+            // the resources are removed from the manifest already, a failed deletion is retried with the next change
+            for (const item of removedPaths) {
+                try {
+                    await deleteResource.call(this, item);
+                } catch (err) {
+                    if (err.status != 404) {
+                        throw err;
+                    }
+                }
+                pendingDeletions = pendingDeletions.filter(path => path != item);
+                this.logger.info(item + " (deleted)", { event: 'file.delete', file: item });
+            }
+
+            return { ...result, deleted: removedPaths };
+        };
+
+        // the initial upload fails watch() itself, e.g. if the glob or the resources are invalid
+        await flush();
+
+        let timer;
+        let running;
+        let changed = false;
+        let closed = false;
+
+        const schedule = delay => {
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+        };
+
+        // uploads run one after another, changes during an upload are uploaded once it's done
+        const run = async () => {
+            if (running) {
+                changed = true;
+                return;
+            }
+
+            updateWatchers();
+            running = flush().catch(err => {
+                this.logger.error(`Can't upload the changes to theme '${this.themeName}': ${err.message}`, { event: 'watch.error', error: err.message });
+
+                // e.g. the connection was lost, otherwise the next change is uploaded, e.g. once a validation problem is fixed
+                if (isRetryable(err) && !closed) {
+                    this.logger.warn(`Retrying the upload in ${WATCH_RETRY_DELAY / 1000} seconds...`, { event: 'watch.retry', delay: WATCH_RETRY_DELAY });
+                    schedule(WATCH_RETRY_DELAY);
+                }
+            });
+            await running;
+            running = undefined;
+
+            if (changed && !closed) {
+                changed = false;
+                schedule(debounce);
+            }
+        };
+
+        // every file a glob can match is inside its base directory, in-memory entries of mappings aren't watched
+        // the directories below the base directory are watched as well, unless the glob is the path of a single file
+        const watchedRoots = [].concat(...entries.filter(item => item.glob !== undefined).map(item => [].concat(item.glob)))
+            .filter(item => !item.startsWith('!'))
+            .map(item => path.resolve(getGlobBase(item)))
+            .filter((item, i, arr) => arr.indexOf(item) == i)
+            .map(item => ({ dir: getWatchableDir(item), nested: !fs.existsSync(item) || !fs.statSync(item).isFile() }));
+
+        const watchedDirs = watchedRoots.map(item => item.dir).filter((item, i, arr) => arr.indexOf(item) == i);
+
+        // the recursive option of fs.watch() isn't available on Linux before Node 20, so every directory is watched on its own
+        // the directories are scanned again before every upload, such that new directories are watched as well
+        const watchers = new Map();
+
+        const updateWatchers = () => {
+            const dirs = [].concat(...watchedRoots.map(item => item.nested ? findDirs(item.dir) : [item.dir]));
+
+            watchers.forEach((watcher, dir) => {
+                if (!dirs.includes(dir)) {
+                    watcher.close();
+                    watchers.delete(dir);
+                }
+            });
+
+            dirs.filter(dir => !watchers.has(dir)).forEach(dir => {
+                try {
+                    watchers.set(dir, fs.watch(dir, (eventType, filename) => {
+                        this.logger.debug(`${filename ? path.join(dir, filename) : dir} (${eventType})`, { event: 'watch.change', file: filename ? slash(path.join(dir, filename)) : slash(dir) });
+                        schedule(debounce);
+                    }).on('error', err => {
+                        this.logger.error(`Can't watch '${dir}': ${err.message}`, { event: 'watch.error', error: err.message });
+                    }));
+                } catch (err) {
+                    // e.g. the directory has been deleted since the scan, its parent is watched anyway
+                    this.logger.debug(`Can't watch '${dir}': ${err.message}`, { event: 'watch.skip', error: err.message });
+                }
+            });
+        };
+
+        updateWatchers();
+
+        this.logger.info(`Watching ${watchedDirs.join(", ")} for changes to upload to theme '${this.themeName}'...`, { event: 'watch.start', dirs: watchedDirs });
+
+        return {
+            async close() {
+                closed = true;
+                clearTimeout(timer);
+                watchers.forEach(item => item.close());
+                watchers.clear();
+                await running;
+            },
+        };
+    }
+
+    // creates a writable stream of Vinyl files, e.g. as the end of a gulp pipe, that uploads them like upload() with files
+    // with options.batchSize or options.batchBytes set, a batch is uploaded as soon as it's complete, otherwise all files are uploaded once the stream ends
+    createUploadStream(options, verbose) {
+
+        const { sourcePath, targetPath, rename, ...flags } = options;
+        const { batchSize = Infinity, batchBytes = Infinity } = flags;
+
+        const mapping = rename === undefined ? { files: [], sourcePath, targetPath } : { files: [], sourcePath, targetPath, rename };
+
+        if (!isMapping(mapping) || !predicateVal(uploadFlagsTemplate, flags) || flags.profile !== undefined || flags.dryRun !== undefined || flags.report !== undefined || flags.fingerprint !== undefined) {
             throw new PluginError(PLUGIN_NAME,
-                `The options passed to upload() are invalid. Please provide options ${Object.keys(uploadTemplate).join(", ")} according to the documentation.`);
+                `The options passed to createUploadStream() are invalid. Please provide options sourcePath, targetPath and optionally rename, ${Object.keys(uploadFlagsTemplate).filter(item => item != 'profile' && item != 'dryRun' && item != 'report' && item != 'fingerprint').join(", ")} according to the documentation.`);
+        }
+
+        let files = [];
+        let bytes = 0;
+
+        const flush = async () => {
+            const batch = files;
+            files = [];
+            bytes = 0;
+            await this.upload({ ...options, files: batch }, verbose);
+        };
+
+        return new stream.Writable({
+            objectMode: true,
+
+            write(file, encoding, callback) {
+
+                // directories and files read without contents have nothing to upload
+                if (file.contents === null || file.contents === undefined || (typeof file.isDirectory == 'function' && file.isDirectory())) {
+                    return callback();
+                }
+
+                loadEntries([{ path: file.path, contents: file.contents }])
+                    .then(([entry]) => {
+                        files.push(entry);
+                        bytes += entry.contents.length;
+                        return files.length >= batchSize || bytes >= batchBytes ? flush() : undefined;
+                    })
+                    .then(() => callback(), callback);
+            },
+
+            final(callback) {
+                (files.length ? flush() : Promise.resolve()).then(() => callback(), callback);
+            },
+        });
+    }
+
+    // lists the paths of all resources in the theme in Scroll Viewport, except for the manifest maintained by upload()
+    // the marker of a preview theme is listed, such that snapshots and copies of the theme keep it
+    async listResources() {
+
+        // obligatory existence check
+        if (!await this.exists()) {
+            throw new ThemeNotFoundError(
+                `Can't list resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
         }
 
-        // compute paths
-        const { glob, targetPath, sourcePath } = options;
+        const resourcePaths = await fetchResourceList.apply(this);
+        return resourcePaths.filter(item => item != MANIFEST_RESOURCE);
+    }
 
-        let sourcePaths = await resolveGlob(glob);
+    // reads back what is deployed from the manifest in the theme, i.e. the release of the last upload and the content hashes of the resources
+    // release and files are undefined if the theme has never been uploaded to by viewport-uploader
+    async info() {
 
-        if (!sourcePaths.length) {
-            showLog(`Won't upload since no files matching the glob pattern \'${glob}\' were found.`);
-            return; // break out of function, async func returns a resolved promise with value undefined, same as if it finished until end
+        // obligatory existence check
+        if (!await this.exists()) {
+            throw new ThemeNotFoundError(
+                `Can't read the info since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
         }
 
-        const targetPaths = sourcePaths.map(item => path.join(targetPath, path.relative(sourcePath, item)));
+        await loadThemeId.apply(this);
 
-        // log upload
-        showLog(`Uploading ${sourcePaths.length} resources to theme '${this.themeName}' in Scroll Viewport...`);
+        const contents = await fetchResource.call(this, MANIFEST_RESOURCE);
+        const manifest = contents && parseManifest(contents, this.themeId);
 
-        if (verbose === true) {
-            sourcePaths.forEach((_, i) => {
-                console.log(sourcePaths[i] + " => " + targetPaths[i]);
-            });
-        } else {
-            // glob is either a string or string array, otherwise would have bailed out since no files were found
-            if (typeof glob == 'string') {
-                console.log(glob + " => " + path.join(targetPath, path.relative(sourcePath, glob)));
-            } else {
-                glob.forEach(item => {console.log(item + " => " + path.join(targetPath, path.relative(sourcePath, item)))});
-            }
+        return {
+            ...getPlanTarget.apply(this),
+            themeId: this.themeId,
+            release: manifest ? manifest.release : undefined,
+            files: manifest ? manifest.files : undefined,
+        };
+    }
+
+    // downloads all resources of the theme in Scroll Viewport into targetDir, keeping their paths
+    async download({ targetDir } = {}, verbose) {
+
+        if (typeof targetDir != 'string' || !targetDir) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to download() are invalid. Please provide the option targetDir according to the documentation.`);
         }
 
-        // create form data and upload
-        const formData = await createFormData(sourcePaths, targetPaths);
-        const uploadedFilePaths = await uploadTheme.call(this, formData);
+        const resourcePaths = await this.listResources();
 
-        // log success
-        showLog(`The ${uploadedFilePaths.length} resources have been successfully uploaded.`);
+        this.logger.info(`Downloading ${resourcePaths.length} resources of theme '${this.themeName}' from Scroll Viewport...`, { event: 'download.start', count: resourcePaths.length });
 
-        if (verbose === true) {
-            uploadedFilePaths.forEach(item => {
-                console.log(item);
-            });
+        const downloadedPaths = [];
+
+        for (const item of resourcePaths) {
+            const filePath = path.join(targetDir, item);
+
+            // don't let a malformed resource path write outside of targetDir
+            if (path.relative(targetDir, filePath).split(path.sep).includes('..')) {
+                throw new PluginError(PLUGIN_NAME, `Can't download resource \'${item}\' since its path points outside of \'${targetDir}\'.`);
+            }
+
+            const contents = await fetchResource.call(this, item);
+
+            // the resource might have been deleted since it was listed
+            if (contents === undefined) {
+                continue;
+            }
+
+            await fs.outputFile(filePath, contents);
+            downloadedPaths.push(filePath);
+
+            this.logger[verbose === true ? 'info' : 'debug'](item + " => " + filePath, { event: 'file.download', file: item, targetPath: filePath });
         }
 
+        this.logger.info(`The ${downloadedPaths.length} resources have been successfully downloaded to '${targetDir}'.`, { event: 'download.done', count: downloadedPaths.length, targetDir });
+
+        return downloadedPaths;
     }
-}
 
-module.exports = ViewportTheme;
+    // downloads all resources of the theme into the state directory, resolves with the snapshot id that can be passed to rollback()
+    async snapshot(verbose) {
+
+        // the timestamp sorts chronologically and is a valid file name on every platform
+        const snapshotId = new Date().toISOString().replace(/[:.]/g, '-');
+
+        this.logger.info(`Creating snapshot '${snapshotId}' of theme '${this.themeName}'...`, { event: 'snapshot.start', snapshotId });
+
+        const snapshotDir = getStatePath('snapshots', this.stateKey, snapshotId);
+        await fs.ensureDir(snapshotDir);
+        await this.download({ targetDir: snapshotDir }, verbose);
+
+        this.logger.info(`The snapshot '${snapshotId}' of theme '${this.themeName}' has been successfully created.`, { event: 'snapshot.done', snapshotId });
+
+        return snapshotId;
+    }
+
+    // lists the ids of the snapshots of the theme, oldest first
+    async listSnapshots() {
+        const snapshotsDir = getStatePath('snapshots', this.stateKey);
+
+        if (!await fs.pathExists(snapshotsDir)) {
+            return [];
+        }
+
+        return (await fs.readdir(snapshotsDir)).sort();
+    }
+
+    // replaces all resources of the theme with the ones of a snapshot
+    async rollback(snapshotId, verbose) {
+
+        const snapshotDir = typeof snapshotId == 'string' && snapshotId && getStatePath('snapshots', this.stateKey, snapshotId);
+
+        if (!snapshotDir || !await fs.pathExists(snapshotDir)) {
+            throw new PluginError(PLUGIN_NAME,
+                `Can't roll back theme \'${this.themeName}\' since the snapshot \'${snapshotId}\' doesn't exist. Please use listSnapshots() to get the available snapshots.`);
+        }
+
+        this.logger.info(`Rolling back theme '${this.themeName}' to snapshot '${snapshotId}'...`, { event: 'rollback.start', snapshotId });
+
+        await this.reset();
+
+        // target paths are the paths relative to the snapshot directory
+        const targetPaths = await resolveGlob('**', { cwd: snapshotDir, dot: true });
+        const sourcePaths = targetPaths.map(item => path.join(snapshotDir, item));
+
+        const result = targetPaths.length ? await uploadFiles.call(this, sourcePaths, targetPaths, { verbose }) : { uploaded: [], skipped: [] };
+
+        this.logger.info(`The theme '${this.themeName}' has been successfully rolled back to snapshot '${snapshotId}'.`, { event: 'rollback.done', snapshotId });
+
+        return result;
+    }
+
+    // replaces all resources of the theme with new ones, i.e. reset() followed by upload()
+    // with options.transactional set, a snapshot is created first and restored if the deploy fails
+    async deploy(options, verbose) {
+
+        return runWithReport.call(this, 'deploy', options, async report => {
+
+            const { transactional, ...uploadOptions } = options;
+
+            if (transactional !== undefined && typeof transactional != 'boolean') {
+                throw new PluginError(PLUGIN_NAME,
+                    `The options passed to deploy() are invalid. Please provide options glob, sourcePath, targetPath or mappings and optionally transactional according to the documentation.`);
+            }
+
+            const { glob, flags, sourcePaths, targetPaths } = await resolveUploadOptions.call(this, 'deploy', uploadOptions);
+
+            // every file is uploaded after the reset
+            if (flags.dryRun === true) {
+                return planUpload.call(this, 'deploy', sourcePaths, targetPaths, { ...flags, delta: false });
+            }
+
+            // obligatory existence check
+            if (!await this.exists()) {
+                throw new ThemeNotFoundError(
+                    `Can't deploy resources since theme \'${this.themeName}\' doesn't exist yet in Scroll Viewport. Please create it first.`, { spaceKey: this.spaceKey })
+            }
+
+            // don't reset if there is nothing to upload afterwards, the theme would be left empty
+            if (!sourcePaths.length) {
+                this.logger.info(`Won't deploy since ${describeNoFiles(glob)}.`, { event: 'deploy.skip', glob });
+                return;
+            }
+
+            const snapshotId = transactional === true ? await this.snapshot(verbose) : undefined;
+
+            let result;
+            try {
+                await this.reset();
+                // the manifest has been reset as well, so there is nothing to compare with
+                result = await uploadFiles.call(this, sourcePaths, targetPaths, { ...flags, delta: false, verbose, release: report.release, report });
+            } catch (err) {
+
+                if (snapshotId === undefined) {
+                    throw err;
+                }
+
+                this.logger.warn(`The deploy of theme '${this.themeName}' failed, restoring snapshot '${snapshotId}'...`, { event: 'deploy.failed', snapshotId, error: err.message });
+
+                let rollbackError;
+                try {
+                    await this.rollback(snapshotId, verbose);
+                } catch (rollbackErr) {
+                    rollbackError = rollbackErr;
+                }
+
+                const error = new PluginError(PLUGIN_NAME, rollbackError
+                    ? `The deploy of theme \'${this.themeName}\' failed: ${err.message} Restoring the snapshot \'${snapshotId}\' failed as well: ${rollbackError.message} Please run rollback('${snapshotId}') once the problem is solved.`
+                    : `The deploy of theme \'${this.themeName}\' failed: ${err.message} The snapshot \'${snapshotId}\' has been restored.`);
+
+                // keep the details for callers that want to handle both failures themselves
+                error.snapshotId = snapshotId;
+                error.deployError = err;
+                error.rollbackError = rollbackError;
+                throw error;
+            }
+
+            // the snapshot of a successful deploy isn't needed anymore, the one of a failed deploy is kept for rollback()
+            if (snapshotId !== undefined) {
+                await removeSnapshot.call(this, snapshotId);
+            }
+            return result;
+        });
+    }
+
+    // deletes the theme together with all its resources from Scroll Viewport, the local copy of the manifest is removed as well
+    async delete({ dryRun = false } = {}) {
+
+        if (dryRun === true) {
+            const plan = { operation: 'delete', ...getPlanTarget.apply(this), exists: this.doesThemeExist };
+            this.logger.info(`Dry run: delete theme '${this.themeName}' in space '${this.spaceKey || 'GLOBAL'}' at '${this.confluenceBaseUrl}'.`, { event: 'delete.plan', plan });
+            return plan;
+        }
+
+        // obligatory existence check
+        if (!await this.exists()) {
+            throw new ThemeNotFoundError(
+                `Can't delete theme \'${this.themeName}\' since it doesn't exist in Scroll Viewport.`, { spaceKey: this.spaceKey })
+        }
+
+        await loadThemeId.apply(this);
+
+        this.logger.info(`Deleting theme '${this.themeName}' from Scroll Viewport...`, { event: 'theme.delete.start' });
+
+        await deleteTheme.apply(this);
+        await removeLocalManifest(this.stateKey);
+
+        // the instance can create the theme again afterwards
+        this.themeId = undefined;
+        this.doesThemeExist = false;
+
+        this.logger.info(`The theme '${this.themeName}' has been successfully deleted.`, { event: 'theme.delete.done' });
+    }
+
+    // renames the theme in Scroll Viewport, the instance uses the new name afterwards
+    async rename(newThemeName) {
+
+        if (typeof newThemeName != 'string' || !newThemeName) {
+            throw new PluginError(PLUGIN_NAME, `Can't rename theme \'${this.themeName}\' since the new name is missing.`);
+        }
+
+        // obligatory existence check
+        if (!await this.exists()) {
+            throw new ThemeNotFoundError(
+                `Can't rename theme \'${this.themeName}\' since it doesn't exist in Scroll Viewport.`, { spaceKey: this.spaceKey })
+        }
+
+        // Scroll Viewport identifies themes by their name, so it must be unique in the space
+        const themes = await listThemes.apply(this);
+        if (themes.some(item => item.name == newThemeName)) {
+            throw new PluginError(PLUGIN_NAME,
+                `Can't rename theme \'${this.themeName}\' to \'${newThemeName}\' since a theme with this name already exists in space \'${this.spaceKey || 'GLOBAL'}\'.`);
+        }
+
+        await loadThemeId.apply(this);
+
+        this.logger.info(`Renaming theme '${this.themeName}' to '${newThemeName}' in Scroll Viewport...`, { event: 'rename.start', newThemeName });
+
+        await renameTheme.call(this, newThemeName);
+
+        // the local state is kept by the name of the theme
+        const stateKey = this.stateKey;
+        const oldThemeName = this.themeName;
+        setThemeName.call(this, newThemeName);
+        await moveLocalManifest(stateKey, this.stateKey);
+
+        const snapshotsDir = getStatePath('snapshots', stateKey);
+        if (await fs.pathExists(snapshotsDir)) {
+            await fs.move(snapshotsDir, getStatePath('snapshots', this.stateKey), { overwrite: true });
+        }
+
+        this.logger.info(`The theme '${oldThemeName}' has been successfully renamed to '${newThemeName}'.`, { event: 'rename.done', oldThemeName });
+    }
+
+    // copies all resources of the theme to another theme, e.g. in another target environment or space, which is created if needed
+    // the name and target environment default to the ones of this theme, the space key to the one of the target environment
+    // overwrite must be set to replace the resources of an existing theme, resolves with the ViewportTheme instance of the copy
+    async cloneTo({ themeName = this.themeName, envName = this.envName, spaceKey = envName == this.envName ? this.spaceKey : undefined, overwrite = false } = {}, verbose) {
+
+        const target = new ViewportTheme({ themeName, envName, spaceKey, ...this.logOptions, fetch: this.transport.fetch });
+
+        if (target.stateKey == this.stateKey) {
+            throw new PluginError(PLUGIN_NAME, `Can't clone theme \'${this.themeName}\' to itself. Please provide another themeName, envName or spaceKey.`);
+        }
+
+        // obligatory existence check
+        if (!await this.exists()) {
+            throw new ThemeNotFoundError(
+                `Can't clone theme \'${this.themeName}\' since it doesn't exist in Scroll Viewport.`, { spaceKey: this.spaceKey })
+        }
+
+        if (await target.exists() && !overwrite) {
+            throw new PluginError(PLUGIN_NAME,
+                `Can't clone theme \'${this.themeName}\' to \'${themeName}\' in space \'${target.spaceKey || 'GLOBAL'}\' of \'${target.envName}\' since it already exists. Please set overwrite to replace its resources.`);
+        }
+
+        await this.create();
+        await target.create();
+
+        this.logger.info(`Cloning theme '${this.themeName}' to '${themeName}' in space '${target.spaceKey || 'GLOBAL'}' of '${target.envName}'...`, { event: 'clone.start', target: getPlanTarget.apply(target) });
+
+        // the resources are copied through a temporary directory, like a snapshot
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `${PLUGIN_NAME}-`));
+
+        try {
+            const sourcePaths = await this.download({ targetDir: tempDir }, verbose);
+            const targetPaths = sourcePaths.map(item => slash(path.relative(tempDir, item)));
+
+            await target.reset();
+
+            if (targetPaths.length) {
+                await uploadFiles.call(target, sourcePaths, targetPaths, { verbose });
+            }
+        } finally {
+            await fs.remove(tempDir);
+        }
+
+        this.logger.info(`The theme '${this.themeName}' has been successfully cloned to '${themeName}'.`, { event: 'clone.done' });
+
+        return target;
+    }
+}
+
+// ----------------- Helpers ----------------- //
+
+// fs.watch() needs an existing directory, so a file is watched by its directory and a missing directory by its closest existing parent
+function getWatchableDir(dir) {
+    while (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        if (path.dirname(dir) == dir) {
+            break;
+        }
+        dir = path.dirname(dir);
+    }
+    return dir;
+}
+
+// lists a directory and all directories below it, e.g. to watch them, symbolic links aren't followed
+function findDirs(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+        return [];
+    }
+    return [dir].concat(...entries.filter(item => item.isDirectory()).map(item => findDirs(path.join(dir, item.name))));
+}
+
+// the reason why nothing is uploaded, for a glob or for in-memory entries
+function describeNoFiles(glob) {
+    return glob === undefined ? 'no files were given' : `no files matching the glob pattern \'${glob}\' were found`;
+}
+
+function formatTarget({ envName, spaceKey }) {
+    return spaceKey === undefined ? `'${envName}'` : `'${envName}' (space '${spaceKey || 'GLOBAL'}')`;
+}
+
+// loads and validates the project config, resolves with an empty config if there is none
+function loadProjectConfig() {
+    const { projectConfigPath, projectConfig } = loadProjectConfigSync(projectConfigNames, process.cwd()) || { projectConfig: {} };
+
+    if (!isObjectOf(projectConfig, () => true) || !predicateVal(projectConfigTemplate, projectConfig)) {
+        throw new ConfigError(
+            `The project config file '${projectConfigPath}' is invalid. Please provide an object with the properties ${Object.keys(projectConfigTemplate).join(", ")} according to the documentation.`);
+    }
+
+    return { projectConfigPath, projectConfig };
+}
+
+// loads a target environment from the project config on top of the one in ~/.vpconfig.json, which is optional if the project config defines it
+// the credentials usually stay in the home directory while the project config contains the rest
+function loadTargetEnvSync(envName, projectConfigPath, projectConfig) {
+    const projectEnv = (projectConfig.environments || {})[envName] || {};
+    const homeEnv = Object.keys(projectEnv).length ? readHomeTargetEnvSync(envName) || {} : loadConfigSync(envName, vpconfigName, vpconfigPath);
+
+    const targetEnv = { envName, ...homeEnv, ...projectEnv };
+
+    // remember the file each property comes from, envName is the key of the target environment in both files
+    const targetEnvSources = Object.keys(targetEnv).reduce((acc, item) => {
+        acc[item] = projectEnv.hasOwnProperty(item) ? projectConfigPath : `~/${vpconfigName}`;
+        return acc;
+    }, {});
+
+    return { targetEnv, targetEnvSources };
+}
+
+// checks if the project config or ~/.vpconfig.json define a target environment
+function hasTargetEnvSync(envName, projectConfig) {
+    return !!(projectConfig.environments || {})[envName] || !!readHomeTargetEnvSync(envName);
+}
+
+// reads a target environment from ~/.vpconfig.json, returns undefined if the file or the target environment doesn't exist
+function readHomeTargetEnvSync(envName) {
+    return fs.existsSync(vpconfigPath) ? fs.readJsonSync(vpconfigPath)[envName] : undefined;
+}
+
+// reads the properties of the target environment set by environmental variables
+// Note: an empty VPRT_SPACEKEY is a valid override for the global scope, so only unset variables are skipped
+function getEnvVariables() {
+    return Object.keys(targetEnvEV).filter(item => process.env[targetEnvEV[item]] !== undefined).reduce((acc, item) => {
+        acc[item] = process.env[targetEnvEV[item]];
+        return acc;
+    }, {});
+}
+
+// the environmental variables can replace the config files, if they provide all properties with a token or a username and a password
+function isTargetEnvComplete(envVariables) {
+    return ['envName', 'confluenceBaseUrl', 'spaceKey'].every(item => envVariables[item] !== undefined)
+        && (!!envVariables.token || (!!envVariables.username && !!envVariables.password));
+}
+
+// warns about environmental variables that are set but have no effect, e.g. misspelled ones or a password while a token is used
+function warnUnusedEnvVariables(logger, envVariables, credentials) {
+    const knownVariables = Object.values(targetEnvEV).concat(themeNameEV);
+    const unknownVariables = Object.keys(process.env).filter(item => item.startsWith(EV_PREFIX) && !knownVariables.includes(item));
+    const unusedVariables = credentials.token ? ['username', 'password'].filter(item => envVariables[item] !== undefined).map(item => targetEnvEV[item]) : [];
+
+    if (unknownVariables.length) {
+        logger.warn(`The environmental variables ${unknownVariables.join(", ")} are unknown and will be ignored. Please check their names, known are ${knownVariables.join(", ")}.`,
+            { event: 'env.unknown', variables: unknownVariables });
+    }
+
+    if (unusedVariables.length) {
+        logger.warn(`The environmental variables ${unusedVariables.join(", ")} are set but unused since a token is used for authentication.`,
+            { event: 'env.unused', variables: unusedVariables });
+    }
+}
+
+// validates the options of upload(), sync() and deploy() and resolves the glob to the source and target paths of the resources, call with the theme as this
+// instead of the paths a profile of the project config can be given, its entries are resolved one after another
+async function resolveUploadOptions(methodName, options) {
+
+    // separate the optional flags from the paths
+    const flags = {};
+    const pathOptions = {};
+    Object.keys(options).forEach(item => {
+        if (uploadFlagsTemplate.hasOwnProperty(item)) {
+            flags[item] = options[item];
+        } else {
+            pathOptions[item] = options[item];
+        }
+    });
+
+    // the paths are a single mapping, a list of mappings or a profile of the project config, a mapping has files instead of the glob for in-memory entries, see loadEntries()
+    const isPathOptions = flags.profile !== undefined
+        ? !Object.keys(pathOptions).length
+        : pathOptions.mappings !== undefined
+            ? Object.keys(pathOptions).length == 1 && isMappingList(pathOptions.mappings)
+            : isMapping(pathOptions);
+
+    // validate arguments, the ignore patterns of the options are a flag that applies to all mappings
+    if (!isPathOptions || !predicateVal(uploadFlagsTemplate, flags)) {
+        throw new PluginError(PLUGIN_NAME,
+            `The options passed to ${methodName}() are invalid. Please provide options glob or files, sourcePath, targetPath and optionally rename, or mappings or profile instead, and optionally ${Object.keys(uploadFlagsTemplate).filter(item => item != 'profile').join(", ")} according to the documentation.`);
+    }
+
+    const entries = flags.profile !== undefined ? getProfile.call(this, flags.profile) : pathOptions.mappings || [pathOptions];
+
+    // compute paths, the ignore patterns of the project config apply to every entry
+    let sourcePaths = [];
+    let targetPaths = [];
+
+    for (const entry of entries) {
+        const ignorePatterns = this.ignore.concat(flags.ignore || [], entry.ignore || []);
+        const entrySourcePaths = entry.files === undefined ? await resolveGlob(entry.glob, { ignore: ignorePatterns }) : filterEntries(await loadEntries(entry.files), ignorePatterns);
+
+        entrySourcePaths.forEach(item => {
+            const targetPath = mapPath(entry, getSourcePath(item));
+
+            // a file matched by several entries with the same target is only uploaded once
+            if (!sourcePaths.some((source, i) => targetPaths[i] == targetPath && getSourcePath(source) == getSourcePath(item))) {
+                sourcePaths.push(item);
+                targetPaths.push(targetPath);
+            }
+        });
+    }
+
+    // different files mapped to the same resource would overwrite each other depending on their order
+    const collisions = findCollisions(sourcePaths.map(getSourcePath), targetPaths);
+
+    if (collisions.length) {
+        throw new ConfigError(
+            `Can't ${methodName} resources to theme \'${this.themeName}\' since several files are mapped to the same resource: ${collisions.map(item => `${item.targetPath} (${item.sourcePaths.join(', ')})`).join(', ')}.`,
+            { spaceKey: this.spaceKey, hint: 'Change the globs, targetPaths or rename functions of the mappings such that every resource has a single file.' });
+    }
+
+    // fingerprinting renames the assets, so the resources are validated with their final paths
+    if (flags.fingerprint !== undefined && flags.fingerprint !== false) {
+        const fingerprinted = await fingerprintAssets(sourcePaths, targetPaths, flags.fingerprint === true ? {} : flags.fingerprint);
+        sourcePaths = fingerprinted.sources;
+        targetPaths = fingerprinted.targetPaths;
+
+        this.logger.info(`Fingerprinted ${fingerprinted.renamed.length} assets of theme '${this.themeName}'.`, { event: 'fingerprint.done', count: fingerprinted.renamed.length });
+        fingerprinted.renamed.forEach(item => {
+            this.logger.debug(`${item.targetPath} => ${item.fingerprintedPath}`, { event: 'file.fingerprint', file: item.fingerprintedPath, targetPath: item.targetPath });
+        });
+    }
+
+    // the glob of all entries for messages, undefined for in-memory entries
+    const globs = [].concat(...entries.filter(item => item.glob !== undefined).map(item => item.glob));
+    const glob = entries.length == 1 ? entries[0].glob : globs.length ? globs : undefined;
+
+    if (flags.validate !== false) {
+        // sync() and deploy() replace all resources of the theme, so only they have to contain the required ones
+        await validateUpload.call(this, methodName, sourcePaths, targetPaths, flags.validate, methodName == 'sync' || methodName == 'deploy');
+    }
+
+    return { glob, entries, flags, sourcePaths, targetPaths };
+}
+
+// fails before anything is uploaded if a resource violates a validation rule at level error, problems at level warn are only logged
+async function validateUpload(methodName, sourcePaths, targetPaths, validate, complete) {
+    const validation = typeof validate == 'object' ? resolveValidation(this.validation, validate) : this.validation;
+    const problems = await validateResources(sourcePaths, targetPaths, validation, { complete });
+    const errors = problems.filter(item => item.level == 'error');
+
+    problems.forEach(item => {
+        this.logger[item.level](`${item.file}: ${item.message} (${item.rule})`, { event: 'validate.problem', file: item.file, rule: item.rule });
+    });
+
+    if (errors.length) {
+        throw new ValidationError(
+            `Can't ${methodName} resources to theme \'${this.themeName}\' since ${errors.length} problems were found: ${errors.map(item => `${item.file} (${item.rule})`).join(', ')}.`,
+            { spaceKey: this.spaceKey, problems, hint: 'Fix the resources, add them to the ignore patterns or configure the validation rules, see README.' });
+    }
+}
+
+// resolves a profile of the project config to its entries, call with the theme as this
+function getProfile(profileName) {
+    const profile = this.profiles[profileName];
+
+    if (!profile) {
+        throw new ConfigError(
+            `The profile '${profileName}' is not defined for theme '${this.themeName}'. Please add it to the project config${this.projectConfigPath ? ` '${this.projectConfigPath}'` : ''}.`);
+    }
+
+    const entries = Array.isArray(profile) ? profile : [profile];
+
+    if (!isMappingList(entries)) {
+        throw new ConfigError(
+            `The profile '${profileName}' is invalid. Please provide entries with the options glob, sourcePath, targetPath and optionally ignore and rename according to the documentation.`);
+    }
+
+    return entries;
+}
+
+// VPRT_THEMENAME names the theme the previews are derived from, not the preview itself
+// without a name the previews would be named after 'undefined' and collectPreviews() wouldn't find any
+function getBaseThemeName(themeName, method) {
+    const baseThemeName = process.env[themeNameEV] || themeName;
+
+    if (typeof baseThemeName != 'string' || !baseThemeName) {
+        throw new ConfigError(`Can't run ${method}() since the name of the theme the previews are derived from is missing.`,
+            { hint: `Provide the option themeName or set the environmental variable ${themeNameEV}.` });
+    }
+
+    return baseThemeName;
+}
+
+// runs upload(), sync() or deploy() with a report of the files, which is written to the files of options.report afterwards, also if the method failed
+// the release is created up front, such that it's part of the report even if the validation fails, call with the theme as this
+async function runWithReport(operation, options, run) {
+    const { release, report: reportOptions, dryRun } = options || {};
+
+    const report = createReport(operation, getPlanTarget.apply(this));
+    report.release = createRelease(isObjectOf(release, item => typeof item == 'string') ? release : undefined);
+    lastReports.set(this, report);
+
+    let error;
+    try {
+        return await run(report);
+    } catch (err) {
+        error = err;
+        throw err;
+    } finally {
+        finishReport(report, error);
+
+        // invalid options are reported by resolveUploadOptions(), a report that can't be written is only logged, such that the method still fails with its own error
+        if (isReportOptions(reportOptions) && dryRun !== true) {
+            await writeReport([report], reportOptions).then(() => {
+                this.logger.info(`The report of ${operation}() has been written to ${Object.values(reportOptions).join(", ")}.`, { event: 'report.written', files: Object.values(reportOptions) });
+            }, err => {
+                this.logger.error(`Can't write the report of ${operation}(): ${err.message}`, { event: 'report.failed', error: err.message });
+            });
+        }
+    }
+}
+
+// uploads files to the theme and records their content hashes in the manifest, call with the theme as this
+// in delta mode files whose hash matches the manifest are skipped unless they're in forcedPaths, removedPaths are dropped from the manifest
+// files are split into batches that are uploaded concurrently, failed batches are retried and reported at the end
+// the release is stored in the manifest, the files are added to the report with their status and the duration of their request
+async function uploadFiles(sourcePaths, targetPaths, {
+    delta = false, verbose = false, removedPaths = [], forcedPaths = [], release, report,
+    batchSize = Infinity, batchBytes = Infinity, concurrency = 1, retries = DEFAULT_RETRIES,
+} = {}) {
+
+    // records about single files are only logged by default if verbose is set
+    const fileLevel = verbose === true ? 'info' : 'debug';
+
+    // compare content hashes with the manifest of the last upload, without delta it's only updated, so an unreadable manifest doesn't stop the upload
+    const manifest = await loadManifest.call(this).catch(err => {
+        if (delta) {
+            throw err;
+        }
+        this.logger.warn(`Can't read the manifest of theme '${this.themeName}', it will only list the resources of this upload: ${err.message}`, { event: 'manifest.unreadable', error: err.message });
+        return createManifest(this.themeId);
+    });
+    let hashes = await Promise.all(sourcePaths.map(item => hashFile(item)));
+    let sizes = await Promise.all(sourcePaths.map(item => getSourceSize(item)));
+
+    // adds the files at the given indices to the report, start is the time their request started
+    const reportFiles = (indices, status, start, err) => {
+        if (report) {
+            indices.forEach(i => {
+                report.files.push({ targetPath: targetPaths[i], sourcePath: getSourcePath(sourcePaths[i]), size: sizes[i], status, duration: start ? Date.now() - start : 0, error: err ? err.message : undefined });
+            });
+        }
+    };
+
+    let skippedPaths = [];
+
+    if (delta) {
+        const changed = targetPaths.map((item, i) => manifest.files[item] !== hashes[i] || forcedPaths.includes(item));
+        reportFiles(targetPaths.map((_, i) => i).filter(i => !changed[i]), 'skipped');
+
+        skippedPaths = targetPaths.filter((_, i) => !changed[i]);
+        sourcePaths = sourcePaths.filter((_, i) => changed[i]);
+        targetPaths = targetPaths.filter((_, i) => changed[i]);
+        hashes = hashes.filter((_, i) => changed[i]);
+        sizes = sizes.filter((_, i) => changed[i]);
+
+        this.logger.info(`Skipping ${skippedPaths.length} unchanged resources of theme '${this.themeName}'.`, { event: 'upload.unchanged', count: skippedPaths.length });
+
+        skippedPaths.forEach(item => {
+            this.logger[fileLevel](item + " (unchanged)", { event: 'file.skip', file: item });
+        });
+
+        // the manifest still needs to be uploaded if resources were removed from it or another release is deployed
+        if (!sourcePaths.length && !removedPaths.length && (!release || isSameRelease(release, manifest.release))) {
+            this.logger.info(`Won't upload since all resources are up to date.`, { event: 'upload.skip' });
+            return { uploaded: [], skipped: skippedPaths };
+        }
+    }
+
+    if (release) {
+        manifest.release = release;
+    }
+
+    const batches = createBatches(sizes, { batchSize, batchBytes });
+
+    // log upload, without changed resources only the manifest is uploaded
+    if (sourcePaths.length) {
+        this.logger.info(`Uploading ${sourcePaths.length} resources ${batches.length > 1 ? `in ${batches.length} batches ` : ''}to theme '${this.themeName}' in Scroll Viewport...`,
+            { event: 'upload.start', count: sourcePaths.length, batches: batches.length });
+    } else {
+        this.logger.info(`Updating the manifest of theme '${this.themeName}' in Scroll Viewport...`, { event: 'upload.start', count: 0, batches: 0 });
+    }
+
+    sourcePaths.forEach((_, i) => {
+        this.logger[fileLevel](getSourcePath(sourcePaths[i]) + " => " + targetPaths[i], { event: 'file.upload', file: targetPaths[i], sourcePath: getSourcePath(sourcePaths[i]), size: sizes[i] });
+    });
+
+    removedPaths.forEach(item => {
+        delete manifest.files[item];
+    });
+
+    const progressTracker = createProgressTracker(targetPaths.length, progress => this.emit('progress', progress));
+
+    // uploads the files at the given indices, optionally together with the manifest, and resolves with their target paths
+    const uploadBatch = async (indices, withManifest) => {
+        const request = progressTracker.request(indices.map(i => targetPaths[i]));
+
+        // create form data and upload
+        const formData = await createFormData(indices.map(i => sourcePaths[i]), indices.map(i => targetPaths[i]), request.onFile);
+        if (withManifest) {
+            formData.append('files', Buffer.from(JSON.stringify(manifest, null, 2)), { filename: MANIFEST_RESOURCE });
+            formData.append('locations', MANIFEST_RESOURCE);
+        }
+
+        // the manifest on its own isn't part of the progress, otherwise the progress would be complete twice
+        if (indices.length) {
+            await request.attach(formData);
+        }
+
+        try {
+            return (await uploadTheme.call(this, formData)).filter(item => item != MANIFEST_RESOURCE);
+        } catch (err) {
+            request.discard();
+            throw err;
+        }
+    };
+
+    const uploadedFilePaths = [];
+    const failedFiles = [];
+
+    if (batches.length <= 1) {
+
+        // a single request contains the manifest, it's recorded beforehand since the request either succeeds or fails as a whole
+        const indices = batches.length ? batches[0] : [];
+        indices.forEach(i => {
+            manifest.files[targetPaths[i]] = hashes[i];
+        });
+
+        const start = Date.now();
+        try {
+            uploadedFilePaths.push(...await retry(() => uploadBatch(indices, true), retries, `upload to theme '${this.themeName}'`, this.logger));
+        } catch (err) {
+            reportFiles(indices, 'failed', start, err);
+            throw err;
+        }
+        reportFiles(indices, 'uploaded', start);
+    } else {
+
+        // concurrent batches can't each carry the manifest, so it's uploaded on its own once all batches are done
+        await runConcurrently(batches.map((indices, n) => async () => {
+            const start = Date.now();
+            try {
+                uploadedFilePaths.push(...await retry(() => uploadBatch(indices, false), retries, `batch ${n + 1}/${batches.length} of the upload to theme '${this.themeName}'`, this.logger));
+                indices.forEach(i => {
+                    manifest.files[targetPaths[i]] = hashes[i];
+                });
+                reportFiles(indices, 'uploaded', start);
+            } catch (err) {
+                reportFiles(indices, 'failed', start, err);
+
+                // the state of the resources of a failed batch is unknown, so they are uploaded again on the next delta upload
+                indices.forEach(i => {
+                    delete manifest.files[targetPaths[i]];
+                    failedFiles.push({ path: targetPaths[i], error: err });
+                });
+            }
+        }), concurrency);
+
+        await retry(() => uploadBatch([], true), retries, `upload of the manifest to theme '${this.themeName}'`, this.logger);
+    }
+
+    await saveLocalManifest(this.stateKey, manifest);
+
+    if (failedFiles.length) {
+        failedFiles.forEach(item => {
+            this.logger.error(`${item.path} (failed)`, { event: 'file.failed', file: item.path, error: item.error.message });
+        });
+
+        const error = new UploadError(
+            `Can not upload ${failedFiles.length} of ${sourcePaths.length} resources to theme \'${this.themeName}\': ${failedFiles.map(item => item.path).join(', ')}. The first error was: ${failedFiles[0].error.message}`, { status: failedFiles[0].error.status, spaceKey: this.spaceKey });
+
+        // keep the details for callers that want to retry the failed files themselves
+        error.uploaded = uploadedFilePaths;
+        error.failed = failedFiles;
+        throw error;
+    }
+
+    // log success
+    if (sourcePaths.length) {
+        this.logger.info(`The ${uploadedFilePaths.length} resources have been successfully uploaded.`, { event: 'upload.done', count: uploadedFilePaths.length });
+    }
+
+    uploadedFilePaths.forEach(item => {
+        this.logger[fileLevel](item, { event: 'file.uploaded', file: item });
+    });
+
+    return { uploaded: uploadedFilePaths, skipped: skippedPaths };
+}
+
+// e.g. after a rename, or for preview themes whose name mustn't be replaced by VPRT_THEMENAME
+function setThemeName(themeName) {
+    this.themeName = themeName;
+    this.logContext.themeName = themeName;
+}
+
+// loads the themeId that methods other than create() need if create() hasn't been called yet, call with the theme as this
+async function loadThemeId() {
+    if (!this.themeId) {
+        this.themeId = (await fetchTheme.apply(this)).id;
+    }
+}
+
+// uploads the marker of a preview theme, call with the theme as this
+async function uploadPreviewMarker(marker) {
+    const formData = await createFormData([], []);
+    formData.append('files', Buffer.from(JSON.stringify(marker, null, 2)), { filename: PREVIEW_RESOURCE });
+    formData.append('locations', PREVIEW_RESOURCE);
+    await uploadTheme.call(this, formData);
+}
+
+// removes a snapshot from the state directory, call with the theme as this
+// a failure is only logged, since the deploy the snapshot belongs to has succeeded
+async function removeSnapshot(snapshotId) {
+    try {
+        await fs.remove(getStatePath('snapshots', this.stateKey, snapshotId));
+        this.logger.debug(`Removed snapshot '${snapshotId}' of theme '${this.themeName}'.`, { event: 'snapshot.removed', snapshotId });
+    } catch (err) {
+        this.logger.warn(`Can't remove snapshot '${snapshotId}' of theme '${this.themeName}': ${err.message}`, { event: 'snapshot.failed', snapshotId, error: err.message });
+    }
+}
+
+// resolves with the plan of upload(), sync() or deploy() without contacting Scroll Viewport, call with the theme as this
+// changes are detected with the local copy of the manifest, without it the status of every file is 'unknown'
+async function planUpload(operation, sourcePaths, targetPaths, { delta = false, batchSize = Infinity, batchBytes = Infinity }) {
+
+    const manifest = await loadLocalManifest(this.stateKey, this.themeId);
+    const hashes = await Promise.all(sourcePaths.map(item => hashFile(item)));
+    const sizes = await Promise.all(sourcePaths.map(item => getSourceSize(item)));
+
+    const files = sourcePaths.map((item, i) => {
+        const status = !manifest ? 'unknown' : !manifest.files[targetPaths[i]] ? 'new' : manifest.files[targetPaths[i]] != hashes[i] ? 'changed' : 'unchanged';
+        return { sourcePath: getSourcePath(item), targetPath: targetPaths[i], size: sizes[i], status, upload: !delta || status != 'unchanged' };
+    });
+
+    const uploadedFiles = files.filter(item => item.upload);
+
+    const plan = {
+        operation,
+        ...getPlanTarget.apply(this),
+        delta,
+        files,
+        // resources that were uploaded before but don't match the glob anymore, sync() deletes them and deploy() resets them anyway
+        orphaned: manifest ? Object.keys(manifest.files).filter(item => !targetPaths.includes(item)) : [],
+        bytesTotal: uploadedFiles.reduce((acc, item) => acc + item.size, 0),
+        batches: createBatches(uploadedFiles.map(item => item.size), { batchSize, batchBytes }).length,
+    };
+
+    this.logger.info(`Dry run: ${operation} ${uploadedFiles.length} of ${files.length} resources (${formatBytes(plan.bytesTotal)}) in ${plan.batches} requests to theme '${this.themeName}' in space '${this.spaceKey || 'GLOBAL'}' at '${this.confluenceBaseUrl}'.`,
+        { event: `${operation}.plan`, count: uploadedFiles.length, bytesTotal: plan.bytesTotal, batches: plan.batches });
+
+    files.forEach(item => {
+        this.logger.info(`${item.sourcePath} => ${item.targetPath} (${formatBytes(item.size)}, ${item.status}${item.upload ? '' : ', skipped'})`, { event: 'file.plan', file: item.targetPath, ...item });
+    });
+    plan.orphaned.forEach(item => {
+        this.logger.info(`${item} (orphaned${operation == 'upload' ? '' : ', deleted'})`, { event: 'file.plan', file: item, status: 'orphaned' });
+    });
+
+    return plan;
+}
+
+// identifies the theme and target environment in a dry run plan, call with the theme as this
+function getPlanTarget() {
+    return { themeName: this.themeName, envName: this.envName, confluenceBaseUrl: this.confluenceBaseUrl, spaceKey: this.spaceKey };
+}
+
+// loads the manifest of the last upload from the theme, it also covers uploads from other machines
+// a theme without a manifest is treated as empty, e.g. if it was reset elsewhere, since the local copy would mark its missing resources as unchanged
+async function loadManifest() {
+    const contents = await fetchResource.call(this, MANIFEST_RESOURCE);
+    return contents && parseManifest(contents, this.themeId) || createManifest(this.themeId);
+}
+
+module.exports = ViewportTheme;
+module.exports.renderProgress = renderProgress;
+
+// the error classes, e.g. to handle authentication errors differently from network errors
+module.exports.ViewportError = ViewportError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.PermissionError = PermissionError;
+module.exports.ThemeNotFoundError = ThemeNotFoundError;
+module.exports.UploadError = UploadError;
+module.exports.NetworkError = NetworkError;
+module.exports.ConfigError = ConfigError;
+module.exports.ValidationError = ValidationError;
+
+// an in-process mock of Scroll Viewport, e.g. for integration tests of theme projects
+module.exports.createMockServer = require('./lib/mock-server').createMockServer;
+
+// Note: required after the export since the plugin requires ViewportTheme itself
+module.exports.ViewportUploaderPlugin = require('./lib/webpack-plugin');
@@ -0,0 +1,78 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const { NetworkError } = require('./errors');
+
+// ----------------- Configuration ----------------- //
+
+// delay before the first retry, doubled for every further retry
+const RETRY_DELAY = 1000;
+
+// ----------------- Exports ----------------- //
+
+exports.createBatches = createBatches;
+exports.runConcurrently = runConcurrently;
+exports.retry = retry;
+exports.isRetryable = isRetryable;
+
+// splits the indices of files into batches of at most batchSize files and batchBytes bytes
+// a single file larger than batchBytes gets a batch on its own
+function createBatches(sizes, { batchSize = Infinity, batchBytes = Infinity } = {}) {
+    const batches = [];
+    let batch = [];
+    let bytes = 0;
+
+    sizes.forEach((size, i) => {
+        if (batch.length && (batch.length >= batchSize || bytes + size > batchBytes)) {
+            batches.push(batch);
+            batch = [];
+            bytes = 0;
+        }
+        batch.push(i);
+        bytes += size;
+    });
+
+    if (batch.length) {
+        batches.push(batch);
+    }
+
+    return batches;
+}
+
+// runs async tasks with at most concurrency of them at the same time, tasks are expected to handle their own errors
+async function runConcurrently(tasks, concurrency) {
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+        while (next < tasks.length) {
+            await tasks[next++]();
+        }
+    });
+
+    await Promise.all(workers);
+}
+
+// calls fn until it resolves, retries up to retries times with exponential backoff if the error is retryable
+// every retry is logged as a warning to logger, see createLogger()
+async function retry(fn, retries, description, logger) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) {
+                throw err;
+            }
+
+            const delay = RETRY_DELAY * Math.pow(2, attempt);
+            logger.warn(`Retrying ${description} in ${delay / 1000}s (${attempt + 1}/${retries}) after error: ${err.message}`,
+                { event: 'retry', attempt: attempt + 1, retries, delay, error: err.message });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// network errors as well as server errors and rate limiting are worth retrying, client errors aren't
+function isRetryable(err) {
+    return err instanceof NetworkError || err.name == 'FetchError' || err.status == 429 || err.status >= 500;
+}
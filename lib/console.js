@@ -3,12 +3,80 @@
 // ----------------- Dependencies ----------------- //
 
 const chalk = require('chalk');
+const PluginError = require('plugin-error');
+
+const { redact } = require('./credentials');
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+// ----------------- Configuration ----------------- //
+
+// ordered from most to least verbose, 'silent' disables logging completely
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const LOG_FORMATS = ['text', 'ndjson'];
 
 // ----------------- Exports ----------------- //
 
-exports.showLog = showLog;
+exports.createLogger = createLogger;
+exports.LOG_LEVELS = LOG_LEVELS;
+exports.LOG_FORMATS = LOG_FORMATS;
+
+// creates a logger with the methods debug(), info(), warn() and error(), which take a message and optionally an object of fields
+// records below logLevel are dropped, the others are passed on to a custom logger or formatted as text or NDJSON to logStream
+// without logStream, text warnings and errors go to stderr and everything else to stdout
+// context is added to the fields of every record, e.g. the theme and the target environment, it may be changed later on
+// secrets are redacted from the message and the fields of every record, the array may be filled later on as well
+function createLogger({ logger, logLevel = 'info', logFormat = 'text', logStream, quiet = false, context = {}, secrets = [] } = {}) {
+
+    if (!LOG_LEVELS.includes(logLevel) || !LOG_FORMATS.includes(logFormat)) {
+        throw new PluginError(PLUGIN_NAME,
+            `The log options are invalid. Please provide logLevel ${LOG_LEVELS.join(", ")} and logFormat ${LOG_FORMATS.join(", ")}.`);
+    }
+
+    if (logger && !LOG_LEVELS.slice(0, -1).every(item => typeof logger[item] == 'function')) {
+        throw new PluginError(PLUGIN_NAME,
+            `The logger is invalid. Please provide an object with the methods ${LOG_LEVELS.slice(0, -1).join(", ")}.`);
+    }
+
+    // quiet only lets warnings and errors through
+    const minLevel = Math.max(LOG_LEVELS.indexOf(logLevel), quiet ? LOG_LEVELS.indexOf('warn') : 0);
+
+    const write = (level, message, fields = {}) => {
+        if (LOG_LEVELS.indexOf(level) < minLevel) {
+            return;
+        }
+
+        message = redact(message, secrets);
+        fields = Object.keys(fields).reduce((acc, item) => {
+            acc[item] = redact(fields[item], secrets);
+            return acc;
+        }, {});
+
+        if (logger) {
+            logger[level](message, { ...context, ...fields });
+        } else if (logFormat == 'ndjson') {
+            (logStream || process.stdout).write(JSON.stringify({ time: new Date().toISOString(), level, message, ...context, ...fields }) + '\n');
+        } else {
+            (logStream || (level == 'warn' || level == 'error' ? process.stderr : process.stdout)).write(formatText(level, message, fields) + '\n');
+        }
+    };
+
+    return LOG_LEVELS.slice(0, -1).reduce((acc, item) => {
+        acc[item] = (message, fields) => write(item, message, fields);
+        return acc;
+    }, {});
+}
 
-// logging function to be able to customize it if needed
-function showLog(message) {
-    console.log(chalk.green(message));
-}
\ No newline at end of file
+// records about single files are printed without color, such that the messages about the operations stand out
+function formatText(level, message, fields) {
+    switch (level) {
+        case 'error':
+            return chalk.red(message);
+        case 'warn':
+            return chalk.yellow(message);
+        default:
+            return fields.file !== undefined ? message : chalk.green(message);
+    }
+}
@@ -0,0 +1,111 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+
+const { ConfigError } = require('./errors');
+
+// ----------------- Configuration ----------------- //
+
+// a secret can be provided by one of these properties of a target environment, e.g. 'token', 'tokenFile', 'tokenCommand' or 'tokenEnv'
+const SECRET_SOURCES = ['', 'File', 'Command', 'Env'];
+
+const SECRET_NAMES = ['password', 'token'];
+
+// replaces secrets in messages
+const REDACTED = '********';
+
+// ----------------- Exports ----------------- //
+
+exports.SECRET_NAMES = SECRET_NAMES;
+exports.SECRET_SOURCES = SECRET_SOURCES;
+exports.resolveCredentials = resolveCredentials;
+exports.redact = redact;
+
+// resolves the username, password and token of a target environment from the configured sources
+// a token takes precedence, otherwise username and password are required for HTTP Basic auth
+// Note: synchronous since it's called in the constructor of ViewportTheme
+function resolveCredentials(targetEnv) {
+    const token = resolveSecret(targetEnv, 'token');
+
+    // the password isn't read if it isn't needed, e.g. a command that would prompt for it
+    const password = token ? undefined : resolveSecret(targetEnv, 'password');
+
+    if (!token && !(targetEnv.username && password)) {
+        throw new ConfigError(
+            `The target environment '${targetEnv.envName}' has no credentials. Please provide either a token or a username and a password, see https://github.com/K15t/viewport-uploader for further information.`);
+    }
+
+    return { username: targetEnv.username, password, token };
+}
+
+// replaces every occurrence of the secrets in a string, non-strings are returned as they are
+function redact(value, secrets) {
+    if (typeof value != 'string') {
+        return value;
+    }
+    return secrets.filter(item => !!item).reduce((acc, item) => acc.split(item).join(REDACTED), value);
+}
+
+// ----------------- Helpers ----------------- //
+
+// reads a secret from at most one of its sources, returns undefined if none is configured
+function resolveSecret(targetEnv, name) {
+    const sources = SECRET_SOURCES.filter(item => targetEnv[name + item] !== undefined && targetEnv[name + item] !== '');
+
+    if (sources.length > 1) {
+        throw new ConfigError(
+            `The target environment '${targetEnv.envName}' provides the ${name} in several ways: ${sources.map(item => name + item).join(', ')}. Please provide only one of them.`);
+    } else if (!sources.length) {
+        return undefined;
+    }
+
+    const source = sources[0];
+    const value = targetEnv[name + source];
+    let secret;
+
+    // Note: the messages mustn't contain the secret itself, only where it was read from
+    // files and the output of commands usually end with a line break, so they are trimmed
+    switch (source) {
+        case 'File': {
+            const filePath = value.replace(/^~(?=$|[\/\\])/, os.homedir());
+            try {
+                secret = fs.readFileSync(path.resolve(filePath), 'utf8').trim();
+            } catch (err) {
+                throw new ConfigError(
+                    `Can't read the ${name} of the target environment '${targetEnv.envName}' from the file '${value}': ${err.code || err.message}.`);
+            }
+            break;
+        }
+        case 'Command': {
+            try {
+                secret = childProcess.execSync(value, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+            } catch (err) {
+                throw new ConfigError(
+                    `Can't read the ${name} of the target environment '${targetEnv.envName}' since the command '${value}' failed with exit code ${err.status}.`);
+            }
+            break;
+        }
+        case 'Env': {
+            secret = process.env[value];
+            if (secret === undefined) {
+                throw new ConfigError(
+                    `Can't read the ${name} of the target environment '${targetEnv.envName}' since the environmental variable '${value}' isn't set.`);
+            }
+            break;
+        }
+        default:
+            secret = value;
+    }
+
+    if (!secret) {
+        throw new ConfigError(
+            `The ${name} of the target environment '${targetEnv.envName}' read from '${name + source}' is empty.`);
+    }
+
+    return secret;
+}
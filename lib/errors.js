@@ -0,0 +1,66 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const PluginError = require('plugin-error');
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+// ----------------- Configuration ----------------- //
+
+// maximum length of the excerpt of a response body kept in an error
+const BODY_EXCERPT_LENGTH = 500;
+
+// ----------------- Exports ----------------- //
+
+// base class of the errors of the uploader, details are e.g. status, url, body, spaceKey and hint
+// Note: extends PluginError such that existing checks with instanceof and gulp's error handling keep working
+class ViewportError extends PluginError {
+    constructor(message, details = {}) {
+        super(PLUGIN_NAME, message);
+        this.name = this.constructor.name;
+
+        // PluginError only copies a few known properties from its options
+        Object.keys(details).filter(item => details[item] !== undefined).forEach(item => {
+            this[item] = details[item];
+        });
+    }
+}
+
+// 401, the credentials are wrong or expired
+class AuthenticationError extends ViewportError {}
+
+// 403, the user lacks permissions in Confluence or Scroll Viewport
+class PermissionError extends ViewportError {}
+
+// the theme doesn't exist in the space
+class ThemeNotFoundError extends ViewportError {}
+
+// Scroll Viewport rejected the upload of resources
+class UploadError extends ViewportError {}
+
+// Confluence couldn't be reached, e.g. the host is down or the connection was reset, the code is the one of the system error
+class NetworkError extends ViewportError {}
+
+// the target environment, the project config or the credentials are missing or invalid
+class ConfigError extends ViewportError {}
+
+// the resources about to be uploaded failed the validation, problems lists the rule, level, file and message of each problem
+class ValidationError extends ViewportError {}
+
+exports.ViewportError = ViewportError;
+exports.AuthenticationError = AuthenticationError;
+exports.PermissionError = PermissionError;
+exports.ThemeNotFoundError = ThemeNotFoundError;
+exports.UploadError = UploadError;
+exports.NetworkError = NetworkError;
+exports.ConfigError = ConfigError;
+exports.ValidationError = ValidationError;
+exports.getBodyExcerpt = getBodyExcerpt;
+
+// shortens a response body to a single line, e.g. an HTML error page of a proxy
+function getBodyExcerpt(body) {
+    const excerpt = String(body || '').replace(/\s+/g, ' ').trim();
+    return excerpt.length > BODY_EXCERPT_LENGTH ? excerpt.slice(0, BODY_EXCERPT_LENGTH) + '...' : excerpt;
+}
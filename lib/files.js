@@ -3,45 +3,69 @@
 // ----------------- Dependencies ----------------- //
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const stream = require('stream');
 const globby = require('globby');
+const picomatch = require('picomatch');
 const FormData = require('form-data');
 const slash = require('slash');
-const PluginError = require('plugin-error');
 
-// Note: If you change the plugin name here change it in all other files as well
-const PLUGIN_NAME = 'viewport-uploader';
+const { ConfigError } = require('./errors');
+
+// directory in which local state like manifests and snapshots is kept
+const stateDir = path.join(os.homedir(), '.viewport-uploader');
 
 // ----------------- Exports ----------------- //
 
 exports.loadConfig = loadConfig;
+exports.loadEnvironments = loadEnvironments;
 exports.loadConfigSync = loadConfigSync;
+exports.loadProjectConfigSync = loadProjectConfigSync;
 exports.createFormData = createFormData;
 exports.resolveGlob = resolveGlob;
+exports.getGlobBase = getGlobBase;
+exports.isGlobList = isGlobList;
+exports.createMatcher = createMatcher;
+exports.isEntryList = isEntryList;
+exports.loadEntries = loadEntries;
+exports.filterEntries = filterEntries;
+exports.getSourcePath = getSourcePath;
+exports.getSourceSize = getSourceSize;
+exports.readSource = readSource;
+exports.getStatePath = getStatePath;
 
 // loads a target environment from .vpconfig.json asynchronously
 async function loadConfig(envName, vpconfigName, vpconfigPath) {
 
+    const vpconfig = await loadEnvironments(vpconfigName, vpconfigPath);
+
+    // get selected target environment
+    const targetEnv = vpconfig[envName];
+    if (!targetEnv) {
+        throw new ConfigError(
+            `The target environment '${envName}' was not found in ~/${vpconfigName}. See https://github.com/K15t/viewport-uploader for further information on how to set target environments in ~/${vpconfigName}.`)
+    }
+
+    return targetEnv;
+}
+
+// loads all target environments from .vpconfig.json asynchronously
+async function loadEnvironments(vpconfigName, vpconfigPath) {
+
     // check if .vpconfig.json exists
     if (!await fs.pathExists(vpconfigPath)) {
-        throw new PluginError(PLUGIN_NAME, `Couldn't find a ${vpconfigName} file in your home directory. See https://github.com/K15t/viewport-uploader for further information on how to add a ${vpconfigName} file.`)
+        throw new ConfigError(`Couldn't find a ${vpconfigName} file in your home directory. See https://github.com/K15t/viewport-uploader for further information on how to add a ${vpconfigName} file.`)
     }
 
     // get list of available target environments
     const vpconfig = await fs.readJson(vpconfigPath);
     if (!Object.keys(vpconfig).length) {
-        throw new PluginError(PLUGIN_NAME,
+        throw new ConfigError(
             `No target environments found in ~/${vpconfigName}. See https://github.com/K15t/viewport-uploader for further information on how to add target environments to ~/${vpconfigName}.`)
     }
 
-    // get selected target environment
-    const targetEnv = vpconfig[envName];
-    if (!targetEnv) {
-        throw new PluginError(PLUGIN_NAME,
-            `The target environment '${envName}' was not found in ~/${vpconfigName}. See https://github.com/K15t/viewport-uploader for further information on how to set target environments in ~/${vpconfigName}.`)
-    }
-
-    return targetEnv;
+    return vpconfig;
 }
 
 // Note: an async function can't be used in a constructor as of ES2020
@@ -50,44 +74,151 @@ function loadConfigSync(envName, vpconfigName, vpconfigPath) {
 
     // check if .vpconfig.json exists
     if (!fs.existsSync(vpconfigPath)) {
-        throw new PluginError(PLUGIN_NAME, `Couldn't find a ${vpconfigName} file in your home directory. Please see https://github.com/K15t/viewport-uploader for further information on how to add a ${vpconfigName} file.`)
+        throw new ConfigError(`Couldn't find a ${vpconfigName} file in your home directory. Please see https://github.com/K15t/viewport-uploader for further information on how to add a ${vpconfigName} file.`)
     }
 
     // get list of available target environments
     const vpconfig = fs.readJsonSync(vpconfigPath);
     if (!Object.keys(vpconfig).length) {
-        throw new PluginError(PLUGIN_NAME,
+        throw new ConfigError(
             `No target environments found in ~/${vpconfigName}. Please see https://github.com/K15t/viewport-uploader for further information on how to add target environments to ~/${vpconfigName}.`)
     }
 
     // get selected target environment
     const targetEnv = vpconfig[envName];
     if (!targetEnv) {
-        throw new PluginError(PLUGIN_NAME,
+        throw new ConfigError(
             `The target environment '${envName}' was not found in ~/${vpconfigName}. Please see https://github.com/K15t/viewport-uploader for further information on how to set target environments in ~/${vpconfigName}.`)
     }
 
     return targetEnv;
 }
 
-// creates a form data object from file paths for Scroll Viewport
-async function createFormData(sourcePaths, targetPaths) {
+// creates a form data object from file paths or in-memory entries for Scroll Viewport, see loadEntries()
+// onFile is optionally called with 'start' or 'end' and the index of the file while the form data is streamed
+async function createFormData(sourcePaths, targetPaths, onFile) {
     const formData = new FormData();
 
     // correct file path to valid URL on Windows
-    sourcePaths = sourcePaths.map(item => slash(item));
     targetPaths = targetPaths.map(item => slash(item));
 
     // builds form data stream with Scroll Viewport specific two seperate entries named "files" and "locations" for the content and path
-    sourcePaths.forEach((_, i) => {
-        formData.append('files', fs.createReadStream(sourcePaths[i]));
+    sourcePaths.forEach((source, i) => {
+
+        // the contents of an entry are streamed as well, such that onFile is called in the same way as for files
+        const fileStream = typeof source == 'string' ? fs.createReadStream(slash(source)) : new stream.PassThrough().end(source.contents);
+        const fileOptions = typeof source == 'string' ? {} : { filename: path.basename(source.path), knownLength: source.contents.length };
+
+        // form data resumes a file stream once it's its turn, listening to 'resume' and 'end' doesn't start the stream early
+        if (onFile) {
+            fileStream.once('resume', () => onFile('start', i));
+            fileStream.once('end', () => onFile('end', i));
+        }
+
+        formData.append('files', fileStream, fileOptions);
         formData.append('locations', targetPaths[i]);
     });
 
     return formData;
 }
 
-// resolves glob to array of filenames, taken relative to CWD
-async function resolveGlob(glob) {
-    return globby(glob);
-}
\ No newline at end of file
+// resolves glob to array of filenames, taken relative to CWD unless options.cwd is set
+async function resolveGlob(glob, options) {
+    return globby(glob, options);
+}
+
+// checks the in-memory entries passed instead of a glob, every entry has a path and a Buffer or a readable stream as contents
+function isEntryList(value) {
+    return Array.isArray(value) && value.every(item => !!item && typeof item.path == 'string' && !!item.path
+        && (Buffer.isBuffer(item.contents) || item.contents instanceof stream.Stream));
+}
+
+// reads the contents of entries that are streams into buffers, since the contents are needed for the hash, the size and the upload
+async function loadEntries(entries) {
+    return Promise.all(entries.map(async entry => {
+        if (Buffer.isBuffer(entry.contents)) {
+            return { path: entry.path, contents: entry.contents };
+        }
+
+        // Note: events instead of async iteration, since e.g. the streams of Vinyl files of gulp come from the readable-stream package
+        const contents = await new Promise((resolve, reject) => {
+            const chunks = [];
+            entry.contents
+                .on('error', reject)
+                .on('data', chunk => chunks.push(Buffer.from(chunk)))
+                .on('end', () => resolve(Buffer.concat(chunks)));
+        });
+        return { path: entry.path, contents };
+    }));
+}
+
+// drops the entries matching the ignore patterns of resolveGlob(), paths are taken relative to CWD like the ones of a glob
+function filterEntries(entries, ignore) {
+    const isIgnored = createMatcher(ignore);
+    return entries.filter(item => !isIgnored(slash(path.relative(process.cwd(), item.path))));
+}
+
+// a source is either the path of a file or an in-memory entry, see loadEntries()
+function getSourcePath(source) {
+    return typeof source == 'string' ? source : source.path;
+}
+
+async function getSourceSize(source) {
+    return typeof source == 'string' ? (await fs.stat(source)).size : source.contents.length;
+}
+
+async function readSource(source) {
+    return typeof source == 'string' ? fs.readFile(source) : source.contents;
+}
+
+// returns the directory a glob pattern can match files in, i.e. the segments before the first one with a wildcard, e.g. 'build' for 'build/**/*.css'
+function getGlobBase(glob) {
+    const segments = slash(glob).split('/');
+    const index = segments.findIndex(item => /[*?[\]{}()!]/.test(item));
+    return segments.slice(0, index == -1 ? undefined : index).join('/') || '.';
+}
+
+// checks glob patterns, e.g. of the ignore options, which are a single pattern or a list of patterns
+function isGlobList(value) {
+    return typeof value == 'string' || (Array.isArray(value) && value.every(item => typeof item == 'string'));
+}
+
+// creates a function that tells if a path matches one of the glob patterns, see isGlobList()
+// Note: picomatch doesn't accept an empty list of patterns
+function createMatcher(patterns) {
+    patterns = [].concat(patterns);
+    return patterns.length ? picomatch(patterns, { dot: true }) : () => false;
+}
+
+// builds a path inside the state directory, replaces characters in the segments that aren't allowed in file names on every platform
+function getStatePath(...segments) {
+    return path.join(stateDir, ...segments.map(item => item.replace(/[^a-zA-Z0-9_\-.]/g, '_')));
+}
+
+// finds and loads the first project config file in startDir or one of its parents, returns undefined if there is none
+// the home directory and its parents aren't searched, since the .vpconfig.json in the home directory is the config of the user
+// Note: synchronous since it's called in the constructor of ViewportTheme
+function loadProjectConfigSync(projectConfigNames, startDir) {
+    const homeDir = os.homedir();
+
+    for (let dir = path.resolve(startDir); dir != homeDir; dir = path.dirname(dir)) {
+        const projectConfigPath = projectConfigNames.map(item => path.join(dir, item)).find(item => fs.existsSync(item));
+
+        if (projectConfigPath) {
+            let projectConfig;
+            try {
+                projectConfig = path.extname(projectConfigPath) == '.js' ? require(projectConfigPath) : fs.readJsonSync(projectConfigPath);
+            } catch (err) {
+                throw new ConfigError(`Can't load the project config file '${projectConfigPath}': ${err.message}`);
+            }
+            return { projectConfigPath, projectConfig };
+        }
+
+        // reached the root of the file system
+        if (path.dirname(dir) == dir) {
+            return undefined;
+        }
+    }
+
+    return undefined;
+}
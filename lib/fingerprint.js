@@ -0,0 +1,197 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const path = require('path');
+
+const { getSourcePath, readSource, isGlobList, createMatcher } = require('./files');
+const { hashFile } = require('./manifest');
+
+// ----------------- Configuration ----------------- //
+
+// assets are recognized by the extension of their target path, exclude matches target paths as well, e.g. assets a bundler has fingerprinted already
+const DEFAULT_FINGERPRINT = {
+    extensions: ['css', 'js', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico', 'woff', 'woff2', 'ttf', 'eot', 'otf'],
+    exclude: [],
+    length: 8,
+};
+
+const fingerprintTemplate = {
+    'extensions': value => Array.isArray(value) && value.every(item => typeof item == 'string' && /^[a-zA-Z0-9]+$/.test(item)),
+    'exclude': isGlobList,
+    'length': value => Number.isInteger(value) && value >= 4 && value <= 64,
+};
+
+// references in CSS, the url() function and the short form of @import
+const CSS_REFERENCE = /(url\(\s*(['"]?))([^'")\s]+)(\2\s*\))|(@import\s+(['"]))([^'"]+)(\6)/g;
+
+// references of absolute URLs, data URIs, anchors and paths relative to the root of Confluence aren't resources of the theme
+const EXTERNAL_REFERENCE = /^([a-z][a-z0-9+.\-]*:|\/|#)/i;
+
+// ----------------- Exports ----------------- //
+
+exports.isFingerprintOptions = isFingerprintOptions;
+exports.fingerprintAssets = fingerprintAssets;
+
+// the fingerprint option is either a boolean or an object with settings that replace the defaults
+function isFingerprintOptions(value) {
+    return typeof value == 'boolean' || (!!value && typeof value == 'object' && !Array.isArray(value)
+        && Object.keys(value).every(item => fingerprintTemplate.hasOwnProperty(item) && fingerprintTemplate[item](value[item])));
+}
+
+// renames the assets among the resources to contain a hash of their contents, e.g. 'css/main.css' to 'css/main.3f2a9c1b.css',
+// and rewrites the references to them in Velocity templates and CSS files, whose sources are replaced by in-memory entries then
+// a CSS file is hashed after its references have been rewritten, such that its name changes whenever an asset it refers to changes
+// resolves with the sources and target paths to upload and the renamed target paths
+async function fingerprintAssets(sources, targetPaths, options = {}) {
+    const { extensions, exclude, length } = { ...DEFAULT_FINGERPRINT, ...options };
+    const isExcluded = createMatcher(exclude);
+    const isAsset = targetPath => extensions.includes(getExtension(targetPath)) && !isExcluded(targetPath);
+
+    // the fingerprinted paths by target path, and the rewritten contents by index of the source
+    const renamedPaths = new Map();
+    const rewrittenContents = new Map();
+
+    const rename = (targetPath, hash) => {
+        const extension = path.posix.extname(targetPath);
+        renamedPaths.set(targetPath, `${targetPath.slice(0, -extension.length)}.${hash.slice(0, length)}${extension}`);
+    };
+
+    const indices = targetPaths.map((_, i) => i);
+    const cssIndices = indices.filter(i => getExtension(targetPaths[i]) == 'css');
+    const templateIndices = indices.filter(i => getExtension(targetPaths[i]) == 'vm');
+
+    // assets other than CSS are renamed as they are
+    for (const i of indices.filter(i => isAsset(targetPaths[i]) && !cssIndices.includes(i))) {
+        rename(targetPaths[i], await hashFile(sources[i]));
+    }
+
+    const cssTexts = new Map();
+    for (const i of cssIndices) {
+        cssTexts.set(i, (await readSource(sources[i])).toString('utf8'));
+    }
+
+    // CSS files referring to other CSS files, e.g. with @import, are renamed after the files they refer to
+    const assetPaths = new Set(indices.filter(i => isAsset(targetPaths[i])).map(i => targetPaths[i]));
+    let pending = cssIndices;
+
+    while (pending.length) {
+        const ready = pending.filter(i => findCssReferences(cssTexts.get(i), targetPaths[i])
+            .every(item => !assetPaths.has(item) || item == targetPaths[i] || renamedPaths.has(item)));
+
+        // CSS files that refer to each other can't be named after their final contents, since these depend on the name of the other
+        // the cycle is broken by naming one of them after its original contents, the others are renamed in order then
+        if (!ready.length) {
+            const i = pending.find(item => isAsset(targetPaths[item]) && !renamedPaths.has(targetPaths[item]));
+            rename(targetPaths[i], await hashFile({ contents: Buffer.from(cssTexts.get(i)) }));
+            continue;
+        }
+
+        for (const i of ready) {
+            const text = rewriteCss(cssTexts.get(i), targetPaths[i], renamedPaths);
+            if (text != cssTexts.get(i)) {
+                rewrittenContents.set(i, Buffer.from(text));
+            }
+            if (isAsset(targetPaths[i]) && !renamedPaths.has(targetPaths[i])) {
+                rename(targetPaths[i], await hashFile({ contents: Buffer.from(text) }));
+            }
+        }
+
+        pending = pending.filter(i => !ready.includes(i));
+    }
+
+    for (const i of templateIndices) {
+        const template = (await readSource(sources[i])).toString('utf8');
+        const text = rewriteTemplate(template, targetPaths[i], renamedPaths, extensions);
+        if (text != template) {
+            rewrittenContents.set(i, Buffer.from(text));
+        }
+    }
+
+    return {
+        sources: sources.map((item, i) => rewrittenContents.has(i) ? { path: getSourcePath(item), contents: rewrittenContents.get(i) } : item),
+        targetPaths: targetPaths.map(item => renamedPaths.get(item) || item),
+        renamed: Array.from(renamedPaths.entries()).map(([targetPath, fingerprintedPath]) => ({ targetPath, fingerprintedPath })),
+    };
+}
+
+// ----------------- Helpers ----------------- //
+
+// the target paths of the resources a CSS file refers to
+function findCssReferences(text, cssPath) {
+    const references = [];
+    text.replace(CSS_REFERENCE, (match, urlStart, urlQuote, url, urlEnd, importStart, importQuote, importUrl) => {
+        const targetPath = resolveReference(url || importUrl, path.posix.dirname(cssPath));
+        if (targetPath) {
+            references.push(targetPath);
+        }
+        return match;
+    });
+    return references;
+}
+
+// references in CSS are relative to the CSS file
+function rewriteCss(text, cssPath, renamedPaths) {
+    return text.replace(CSS_REFERENCE, (match, urlStart, urlQuote, url, urlEnd, importStart, importQuote, importUrl, importEnd) => {
+        const reference = url || importUrl;
+        const renamedPath = renamedPaths.get(resolveReference(reference, path.posix.dirname(cssPath)));
+
+        if (!renamedPath) {
+            return match;
+        }
+        return url
+            ? urlStart + replaceFileName(reference, renamedPath) + urlEnd
+            : importStart + replaceFileName(reference, renamedPath) + importEnd;
+    });
+}
+
+// references in Velocity templates are usually built from a variable with the base URL of the theme, e.g. '$theme.baseUrl/css/main.css', so they are recognized by their ending
+// a path after a variable is looked up relative to the root of the theme, any other path relative to the template and then to the root of the theme
+// like in CSS, absolute URLs and paths starting with '/' aren't resources of the theme, e.g. the ones Confluence serves, and neither are the paths inside them
+function rewriteTemplate(text, templatePath, renamedPaths, extensions) {
+    const referencePattern = new RegExp(`(\\$!?(?:\\{[\\w.]+\\}|[\\w.]+)/)?([\\w\\-./]+\\.(?:${extensions.join('|')}))(?![\\w\\-.])`, 'gi');
+
+    return text.replace(referencePattern, (match, variable, reference, offset) => {
+        if (!isTokenStart(text, offset) || EXTERNAL_REFERENCE.test(reference)) {
+            return match;
+        }
+
+        const candidates = variable
+            ? [normalizeReference(reference)]
+            : [resolveReference(reference, path.posix.dirname(templatePath)), normalizeReference(reference)];
+
+        const renamedPath = candidates.map(item => item && renamedPaths.get(item)).find(item => !!item);
+        return renamedPath ? (variable || '') + replaceFileName(reference, renamedPath) : match;
+    });
+}
+
+// a reference starts after whitespace, a quote, a bracket or an '=', otherwise it's the end of something else, e.g. the path of 'http://example.com:8080/css/main.css'
+function isTokenStart(text, offset) {
+    return offset == 0 || /[\s"'()<>=,]/.test(text[offset - 1]);
+}
+
+// resolves a reference relative to the directory of a resource, returns undefined if it doesn't refer to a resource of the theme
+function resolveReference(reference, dir) {
+    const referencePath = reference.split(/[?#]/)[0];
+
+    if (!referencePath || EXTERNAL_REFERENCE.test(reference)) {
+        return undefined;
+    }
+
+    const targetPath = path.posix.normalize(path.posix.join(dir, referencePath));
+    return targetPath.startsWith('../') ? undefined : targetPath;
+}
+
+function normalizeReference(reference) {
+    return path.posix.normalize(reference.split(/[?#]/)[0]);
+}
+
+// only the name of a file changes when it's fingerprinted, so the reference keeps its form, e.g. its query or its relative path
+function replaceFileName(reference, renamedPath) {
+    const [referencePath, ...suffix] = reference.split(/(?=[?#])/);
+    return referencePath.slice(0, referencePath.lastIndexOf('/') + 1) + path.posix.basename(renamedPath) + suffix.join('');
+}
+
+function getExtension(targetPath) {
+    return path.posix.extname(targetPath).slice(1).toLowerCase();
+}
@@ -0,0 +1,94 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const { getStatePath } = require('./files');
+
+// ----------------- Configuration ----------------- //
+
+// name of the manifest resource that is uploaded alongside the theme resources to Scroll Viewport
+const MANIFEST_RESOURCE = 'viewport-uploader-manifest.json';
+
+// ----------------- Exports ----------------- //
+
+exports.MANIFEST_RESOURCE = MANIFEST_RESOURCE;
+exports.hashFile = hashFile;
+exports.createManifest = createManifest;
+exports.parseManifest = parseManifest;
+exports.loadLocalManifest = loadLocalManifest;
+exports.saveLocalManifest = saveLocalManifest;
+exports.removeLocalManifest = removeLocalManifest;
+exports.moveLocalManifest = moveLocalManifest;
+
+// computes the content hash of a file by streaming it, such that large images don't need to be buffered
+// in-memory entries, see loadEntries(), are hashed from their contents
+function hashFile(filePath) {
+    if (typeof filePath != 'string') {
+        return Promise.resolve(crypto.createHash('sha256').update(filePath.contents).digest('hex'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// creates an empty manifest for a theme, files maps the target path of every resource to its content hash
+function createManifest(themeId) {
+    return { themeId, files: {} };
+}
+
+// parses a manifest from a buffer or string, returns undefined if it is unusable for the theme
+// without themeId, e.g. before the theme has been loaded, a manifest of any theme is accepted
+function parseManifest(contents, themeId) {
+    let manifest;
+    try {
+        manifest = JSON.parse(contents.toString());
+    } catch (err) {
+        return undefined;
+    }
+
+    // a manifest of a theme that has been deleted and created again doesn't describe the current resources
+    if (!manifest || (themeId !== undefined && manifest.themeId != themeId) || typeof manifest.files != 'object') {
+        return undefined;
+    }
+
+    return manifest;
+}
+
+// loads the local copy of the manifest, returns undefined if there is none or it belongs to another theme
+async function loadLocalManifest(key, themeId) {
+    const manifestPath = getManifestPath(key);
+
+    if (!await fs.pathExists(manifestPath)) {
+        return undefined;
+    }
+
+    return parseManifest(await fs.readFile(manifestPath), themeId);
+}
+
+async function saveLocalManifest(key, manifest) {
+    await fs.outputJson(getManifestPath(key), manifest, { spaces: 2 });
+}
+
+async function removeLocalManifest(key) {
+    await fs.remove(getManifestPath(key));
+}
+
+// e.g. when a theme is renamed, does nothing if there is no local copy
+async function moveLocalManifest(key, newKey) {
+    if (await fs.pathExists(getManifestPath(key))) {
+        await fs.move(getManifestPath(key), getManifestPath(newKey), { overwrite: true });
+    }
+}
+
+// the local copies of the manifests are kept in the state directory, one file per theme and environment
+function getManifestPath(key) {
+    return getStatePath('manifests', key + '.json');
+}
@@ -0,0 +1,91 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const path = require('path');
+const slash = require('slash');
+
+const { isEntryList, isGlobList } = require('./files');
+const { ConfigError } = require('./errors');
+
+// ----------------- Configuration ----------------- //
+
+// a target path consists of segments of letters, digits, '_', '-' and '.', e.g. 'assets/v1.2/', but no segment may be '.' or '..'
+// leading and trailing slashes are allowed since they are normalized anyway, see normalizeTargetPath()
+const TARGET_PATH = /^\/*((?!\.\.?(\/|$))[a-zA-Z0-9_\-.]+\/+)*((?!\.\.?$)[a-zA-Z0-9_\-.]+)?$/;
+
+// a mapping uploads the files matching glob, or the in-memory files, from sourcePath to targetPath, see README
+const mappingTemplate = {
+    'glob': isGlobList,
+    'files': isEntryList,
+    'sourcePath': value => typeof value == 'string',
+    'targetPath': value => typeof value == 'string' && TARGET_PATH.test(value),
+    'ignore': isGlobList,
+    'rename': value => typeof value == 'function',
+};
+
+// ----------------- Exports ----------------- //
+
+exports.TARGET_PATH = TARGET_PATH;
+exports.isMapping = isMapping;
+exports.isMappingList = isMappingList;
+exports.normalizeTargetPath = normalizeTargetPath;
+exports.mapPath = mapPath;
+exports.findCollisions = findCollisions;
+
+// checks a single mapping, it needs either a glob or files
+function isMapping(mapping) {
+    return !!mapping && typeof mapping == 'object'
+        && (mapping.glob === undefined) != (mapping.files === undefined)
+        && mapping.sourcePath !== undefined && mapping.targetPath !== undefined
+        && Object.keys(mapping).every(item => mappingTemplate.hasOwnProperty(item) && mappingTemplate[item](mapping[item]));
+}
+
+function isMappingList(mappings) {
+    return Array.isArray(mappings) && !!mappings.length && mappings.every(isMapping);
+}
+
+// removes leading, trailing and duplicate slashes, e.g. '/assets//v1.2/' results in 'assets/v1.2', the root of the theme is ''
+function normalizeTargetPath(targetPath) {
+    return slash(targetPath).split('/').filter(item => !!item).join('/');
+}
+
+// computes the path of a resource in the theme from the path of its file, relative to the sourcePath of the mapping, and optionally renamed
+// rename is called with the relative path and the path of the file and returns the relative path to use instead
+function mapPath({ sourcePath, targetPath, rename }, filePath) {
+    let relativePath = slash(path.relative(sourcePath, filePath));
+
+    if (relativePath.split('/').includes('..') || path.isAbsolute(relativePath)) {
+        throw new ConfigError(`The file '${filePath}' isn't inside the sourcePath '${sourcePath}' it's uploaded from.`,
+            { hint: 'Choose a sourcePath that contains all files matching the glob.' });
+    }
+
+    if (rename) {
+        const renamedPath = rename(relativePath, filePath);
+
+        if (typeof renamedPath != 'string' || !normalizeTargetPath(renamedPath) || !TARGET_PATH.test(renamedPath)) {
+            throw new ConfigError(`The rename function returned the invalid path '${renamedPath}' for the file '${filePath}'.`,
+                { hint: `Return a path relative to the targetPath without segments like '..'.` });
+        }
+        relativePath = renamedPath;
+    }
+
+    return normalizeTargetPath(path.posix.join(normalizeTargetPath(targetPath), slash(relativePath)));
+}
+
+// returns the target paths that more than one file is mapped to, with the paths of these files
+function findCollisions(sourcePaths, targetPaths) {
+    const sourcesByTarget = new Map();
+
+    targetPaths.forEach((item, i) => {
+        const sources = sourcesByTarget.get(item) || [];
+        if (!sources.includes(sourcePaths[i])) {
+            sources.push(sourcePaths[i]);
+        }
+        sourcesByTarget.set(item, sources);
+    });
+
+    return Array.from(sourcesByTarget.entries())
+        .filter(([, sources]) => sources.length > 1)
+        .map(([targetPath, sources]) => ({ targetPath, sourcePaths: sources }));
+}
@@ -0,0 +1,326 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const http = require('http');
+
+// ----------------- Configuration ----------------- //
+
+const RESTURL_BASE = '/rest/scroll-viewport/1.0';
+
+const MOCK_ENV_NAME = 'MOCK';
+
+// ----------------- Exports ----------------- //
+
+exports.createMockServer = createMockServer;
+
+// starts an in-process HTTP server that implements the endpoints of Scroll Viewport used by lib/network, e.g. for integration tests
+// requests are authenticated with username and password or the token, spaceKeys are the keys of the spaces of the Confluence
+// resolves with the server, see README for its properties and methods
+function createMockServer({ username = 'admin', password = 'admin', token, spaceKeys = [], forbiddenSpaceKeys = [], latency = 0, port = 0 } = {}) {
+
+    // every theme has an id, a name, a scope, i.e. the space key, and its resources as a map of paths to buffers
+    const themes = [];
+    const requests = [];
+    const failures = [];
+    let nextThemeId = 1;
+
+    const mock = {
+        url: undefined,
+        themes,
+        requests,
+        latency,
+
+        // the properties of a target environment for the mock, e.g. for the environments of the project config
+        targetEnv(spaceKey = '') {
+            return { envName: MOCK_ENV_NAME, confluenceBaseUrl: mock.url, username, ...(token ? { token } : { password }), spaceKey };
+        },
+
+        // the environmental variables that select the mock as target environment
+        env(spaceKey = '') {
+            return {
+                VPRT_ENV: MOCK_ENV_NAME,
+                VPRT_CONFLUENCEBASEURL: mock.url,
+                ...(token ? { VPRT_TOKEN: token } : { VPRT_USERNAME: username, VPRT_PASSWORD: password }),
+                VPRT_SPACEKEY: spaceKey,
+            };
+        },
+
+        // responds to the next times matching requests with the status, method and path are optional, path is matched against the start of the path
+        fail({ status, method, path, times = 1, body = '' }) {
+            failures.push({ status, method, path, times, body });
+        },
+
+        findTheme(themeName, spaceKey = '') {
+            return themes.find(item => item.name == themeName && item.scope == spaceKey);
+        },
+
+        // removes all themes, recorded requests and pending failures
+        reset() {
+            themes.splice(0);
+            requests.splice(0);
+            failures.splice(0);
+        },
+
+        // idle keep-alive connections would otherwise delay the close until they time out
+        close() {
+            return new Promise((resolve, reject) => {
+                server.close(err => err ? reject(err) : resolve());
+                sockets.forEach(item => item.destroy());
+            });
+        },
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({ method: req.method, path: url.pathname, query: [...url.searchParams].reduce((acc, [key, value]) => ({ ...acc, [key]: value }), {}) });
+
+            const respond = (status, body) => setTimeout(() => {
+                res.statusCode = status;
+                if (body === undefined) {
+                    res.end();
+                } else if (Buffer.isBuffer(body)) {
+                    res.setHeader('Content-Type', 'application/octet-stream');
+                    res.end(body);
+                } else {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(body));
+                }
+            }, mock.latency);
+
+            try {
+                handleRequest(req, url, Buffer.concat(chunks), respond);
+            } catch (err) {
+                respond(500, { message: err.message });
+            }
+        });
+    });
+
+    const sockets = new Set();
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    function handleRequest(req, url, body, respond) {
+        const failure = failures.find(item => (!item.method || item.method == req.method) && (!item.path || url.pathname.startsWith(item.path)));
+
+        if (failure) {
+            failure.times--;
+            if (!failure.times) {
+                failures.splice(failures.indexOf(failure), 1);
+            }
+            return respond(failure.status, failure.body ? Buffer.from(failure.body) : undefined);
+        }
+
+        if (!isAuthenticated(req.headers.authorization)) {
+            return respond(401, { message: 'Unauthorized' });
+        }
+
+        // e.g. GET /rest/api/space/DOC, space keys are case-insensitive in Confluence
+        const spaceMatch = /^\/rest\/api\/space\/([^/]+)$/.exec(url.pathname);
+        if (spaceMatch && req.method == 'GET') {
+            const spaceKey = spaceKeys.find(item => item.toLowerCase() == decodeURIComponent(spaceMatch[1]).toLowerCase());
+            return spaceKey ? respond(200, { key: spaceKey }) : respond(404, { message: 'No space with key' });
+        }
+
+        if (!url.pathname.startsWith(RESTURL_BASE + '/theme')) {
+            return respond(404);
+        }
+
+        const themePath = url.pathname.slice((RESTURL_BASE + '/theme').length);
+
+        if (themePath == '') {
+            return handleThemes(req, url, body, respond);
+        }
+
+        const themeMatch = /^\/([^/]+)(\/resource(\/.*)?)?$/.exec(themePath);
+        const theme = themeMatch && themes.find(item => item.id == themeMatch[1]);
+
+        if (!theme) {
+            return respond(404, { message: 'Theme not found' });
+        } else if (forbiddenSpaceKeys.includes(theme.scope)) {
+            return respond(403, { message: 'Forbidden' });
+        } else if (!themeMatch[2]) {
+            return handleTheme(req, theme, body, respond);
+        }
+
+        const resourcePath = themeMatch[3] && themeMatch[3].slice(1).split('/').map(decodeURIComponent).join('/');
+        return resourcePath ? handleResource(req, theme, resourcePath, respond) : handleResources(req, theme, body, respond);
+    }
+
+    // GET finds a theme by name and scope or lists the themes of a scope, POST creates a theme
+    function handleThemes(req, url, body, respond) {
+        if (req.method == 'GET') {
+            const scope = url.searchParams.get('scope') || '';
+
+            if (forbiddenSpaceKeys.includes(scope)) {
+                return respond(403, { message: 'Forbidden' });
+            } else if (!url.searchParams.has('name')) {
+                return respond(200, themes.filter(item => item.scope == scope).map(toThemeJson));
+            }
+
+            const theme = mock.findTheme(url.searchParams.get('name'), scope);
+            return theme ? respond(200, toThemeJson(theme)) : respond(404, { message: 'Theme not found' });
+        } else if (req.method == 'POST') {
+            const { name, scope = '' } = JSON.parse(body.toString());
+
+            if (forbiddenSpaceKeys.includes(scope)) {
+                return respond(403, { message: 'Forbidden' });
+            } else if (!name || mock.findTheme(name, scope)) {
+                return respond(400, { message: `Invalid or duplicate theme name '${name}'` });
+            }
+
+            const theme = { id: String(nextThemeId++), name, scope, resources: new Map() };
+            themes.push(theme);
+            return respond(200, toThemeJson(theme));
+        }
+        respond(405);
+    }
+
+    // DELETE deletes the theme, PUT renames it
+    function handleTheme(req, theme, body, respond) {
+        if (req.method == 'DELETE') {
+            themes.splice(themes.indexOf(theme), 1);
+            return respond(204);
+        } else if (req.method == 'PUT') {
+            const { name } = JSON.parse(body.toString());
+
+            if (!name || mock.findTheme(name, theme.scope)) {
+                return respond(400, { message: `Invalid or duplicate theme name '${name}'` });
+            }
+
+            theme.name = name;
+            return respond(200, toThemeJson(theme));
+        }
+        respond(405);
+    }
+
+    // GET lists the resources as a tree, DELETE removes all of them, POST uploads multipart form data with 'files' and 'locations'
+    function handleResources(req, theme, body, respond) {
+        if (req.method == 'GET') {
+            return respond(200, toResourceTree(Array.from(theme.resources.keys())));
+        } else if (req.method == 'DELETE') {
+            theme.resources.clear();
+            return respond(204);
+        } else if (req.method == 'POST') {
+
+            // like Confluence, multipart requests without the header are rejected by the XSRF check
+            if (req.headers['x-atlassian-token'] != 'no-check') {
+                return respond(403, { message: 'XSRF check failed' });
+            }
+
+            const parts = parseMultipart(body, req.headers['content-type']);
+            const files = parts.filter(item => item.name == 'files');
+            const locations = parts.filter(item => item.name == 'locations').map(item => item.data.toString());
+
+            if (files.length != locations.length) {
+                return respond(400, { message: 'The number of files and locations differs' });
+            }
+
+            locations.forEach((item, i) => theme.resources.set(item.replace(/^\/+/, ''), files[i].data));
+            return respond(201, locations);
+        }
+        respond(405);
+    }
+
+    function handleResource(req, theme, resourcePath, respond) {
+        if (!theme.resources.has(resourcePath)) {
+            return respond(404, { message: 'Resource not found' });
+        } else if (req.method == 'GET') {
+            return respond(200, theme.resources.get(resourcePath));
+        } else if (req.method == 'DELETE') {
+            theme.resources.delete(resourcePath);
+            return respond(204);
+        }
+        respond(405);
+    }
+
+    function isAuthenticated(authorization = '') {
+        const [scheme, credentials] = authorization.split(' ');
+
+        if (scheme == 'Bearer') {
+            return !!token && credentials == token;
+        }
+        return scheme == 'Basic' && Buffer.from(credentials || '', 'base64').toString() == `${username}:${password}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            mock.url = `http://127.0.0.1:${server.address().port}`;
+            resolve(mock);
+        });
+    });
+}
+
+// ----------------- Helpers ----------------- //
+
+function toThemeJson(theme) {
+    return { id: theme.id, name: theme.name, scope: theme.scope };
+}
+
+// nests the resources in folders like Scroll Viewport does, files have a path, folders a name and children
+function toResourceTree(resourcePaths) {
+    const root = { children: [] };
+
+    resourcePaths.sort().forEach(resourcePath => {
+        const segments = resourcePath.split('/');
+        let folder = root;
+
+        segments.slice(0, -1).forEach(name => {
+            let child = folder.children.find(item => item.name == name && item.children);
+            if (!child) {
+                child = { name, folder: true, children: [] };
+                folder.children.push(child);
+            }
+            folder = child;
+        });
+
+        folder.children.push({ name: segments[segments.length - 1], path: resourcePath, folder: false });
+    });
+
+    return root.children;
+}
+
+// minimal parser of multipart/form-data, returns the name and the content of every part
+function parseMultipart(body, contentType = '') {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+
+    if (!boundaryMatch) {
+        return [];
+    }
+
+    const delimiter = Buffer.from('--' + (boundaryMatch[1] || boundaryMatch[2]));
+    const parts = [];
+    let start = body.indexOf(delimiter);
+
+    while (start != -1) {
+        const contentStart = start + delimiter.length;
+
+        // the closing delimiter is followed by two dashes
+        if (body.slice(contentStart, contentStart + 2).toString() == '--') {
+            break;
+        }
+
+        const end = body.indexOf(delimiter, contentStart);
+        if (end == -1) {
+            break;
+        }
+
+        // every part is surrounded by line breaks, its headers are separated from the content by an empty line
+        const part = body.slice(contentStart + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const nameMatch = /name="([^"]*)"/.exec(part.slice(0, headerEnd).toString());
+
+        if (nameMatch) {
+            parts.push({ name: nameMatch[1], data: part.slice(headerEnd + 4) });
+        }
+        start = end;
+    }
+
+    return parts;
+}
@@ -2,11 +2,8 @@
 
 // ----------------- Dependencies ----------------- //
 
-const fetch = require('node-fetch');
-const PluginError = require('plugin-error');
-
-// Note: If you change the plugin name here change it in all other files as well
-const PLUGIN_NAME = 'viewport-uploader';
+const { redact } = require('./credentials');
+const { ViewportError, AuthenticationError, PermissionError, ThemeNotFoundError, UploadError, NetworkError, ConfigError, getBodyExcerpt } = require('./errors');
 
 // ----------------- Exports ----------------- //
 
@@ -15,9 +12,18 @@ exports.existsTheme = existsTheme;
 exports.createTheme = createTheme;
 exports.resetTheme = resetTheme;
 exports.uploadTheme = uploadTheme;
+exports.fetchResource = fetchResource;
+exports.fetchResourceList = fetchResourceList;
+exports.deleteResource = deleteResource;
+exports.listThemes = listThemes;
+exports.deleteTheme = deleteTheme;
+exports.renameTheme = renameTheme;
+exports.verifySpaceKey = verifySpaceKey;
+
+// Note: every request is sent with this.transport, which applies the proxy, CA, timeout and keep-alive settings of the target environment, see lib/transport
 
 function fetchTheme() {
-    return fetch(this.restUrlForThemeObject,
+    return this.transport(this.restUrlForThemeObject,
         {
             method: 'GET',
             headers: { 'Authorization': this.autorisation }
@@ -25,22 +31,25 @@ function fetchTheme() {
         .then(checkPermissionError.bind(this))
         .then(checkAuthenticationError.bind(this))
         .then(checkThemeNotFound.bind(this))
-        .then(response => response.json());
+        .then(response => response.json())
+        .catch(rethrowRedacted.bind(this));
 }
 
 function existsTheme() {
-    return fetch(this.restUrlForThemeObject,
+    return this.transport(this.restUrlForThemeObject,
         {
             method: 'GET',
             headers: { 'Authorization': this.autorisation }
         })
         .then(checkPermissionError.bind(this))
         .then(checkAuthenticationError.bind(this))
-        .then(response => response.status == 200);
+        .then(checkThemeNotLookedUp.bind(this))
+        .then(response => response.status == 200)
+        .catch(rethrowRedacted.bind(this));
 }
 
 function createTheme() {
-    return fetch(this.restUrlForThemeCreation,
+    return this.transport(this.restUrlForThemeCreation,
         {
             method: 'POST',
             headers: { 'Authorization': this.autorisation, 'Content-Type': 'application/json' },
@@ -48,22 +57,24 @@ function createTheme() {
         })
         .then(checkPermissionError.bind(this))
         .then(checkAuthenticationError.bind(this))
-        .then(checkThemeNotCreated.bind(this));
+        .then(checkThemeNotCreated.bind(this))
+        .catch(rethrowRedacted.bind(this));
 }
 
 function resetTheme() {
-    return fetch(this.restUrlForThemeResources,
+    return this.transport(this.restUrlForThemeResources,
         {
             method: 'DELETE',
             headers: { 'Authorization': this.autorisation }
         })
         .then(checkPermissionError.bind(this))
         .then(checkAuthenticationError.bind(this))
-        .then(checkThemeNotReset.bind(this));
+        .then(checkThemeNotReset.bind(this))
+        .catch(rethrowRedacted.bind(this));
 }
 
 function uploadTheme(formData) {
-    return fetch(this.restUrlForThemeResources,
+    return this.transport(this.restUrlForThemeResources,
         {
             method: 'POST',
             headers: {
@@ -76,55 +87,264 @@ function uploadTheme(formData) {
         .then(checkPermissionError.bind(this))
         .then(checkAuthenticationError.bind(this))
         .then(checkThemeNotUploaded.bind(this))
-        .then(response => response.json());
+        .then(response => response.json())
+        .catch(rethrowRedacted.bind(this));
+}
+
+// resolves with the content of a single resource as buffer, or with undefined if it doesn't exist
+function fetchResource(resourcePath) {
+    return this.transport(getRestUrlForResource(this.restUrlForThemeResources, resourcePath),
+        {
+            method: 'GET',
+            headers: { 'Authorization': this.autorisation }
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(response => response.status == 404 ? undefined : checkResourceNotFetched.call(this, response, resourcePath).then(item => item.buffer()))
+        .catch(rethrowRedacted.bind(this));
+}
+
+// resolves with the paths of all resources in the theme
+function fetchResourceList() {
+    return this.transport(this.restUrlForThemeResources,
+        {
+            method: 'GET',
+            headers: { 'Authorization': this.autorisation }
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(checkResourcesNotListed.bind(this))
+        .then(response => response.json())
+        .then(resources => flattenResourceTree(resources))
+        .catch(rethrowRedacted.bind(this));
+}
+
+function deleteResource(resourcePath) {
+    return this.transport(getRestUrlForResource(this.restUrlForThemeResources, resourcePath),
+        {
+            method: 'DELETE',
+            headers: { 'Authorization': this.autorisation, 'X-Atlassian-Token': 'no-check' }
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(response => checkResourceNotDeleted.call(this, response, resourcePath))
+        .catch(rethrowRedacted.bind(this));
+}
+
+// resolves with the themes in the space of this, or the global themes if the space key is empty
+function listThemes() {
+    return this.transport(this.restUrlForThemeList,
+        {
+            method: 'GET',
+            headers: { 'Authorization': this.autorisation }
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(checkThemesNotListed.bind(this))
+        .then(response => response.json())
+        .catch(rethrowRedacted.bind(this));
+}
+
+function deleteTheme() {
+    return this.transport(this.restUrlForTheme,
+        {
+            method: 'DELETE',
+            headers: { 'Authorization': this.autorisation, 'X-Atlassian-Token': 'no-check' }
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(checkThemeNotDeleted.bind(this))
+        .catch(rethrowRedacted.bind(this));
+}
+
+function renameTheme(newThemeName) {
+    return this.transport(this.restUrlForTheme,
+        {
+            method: 'PUT',
+            headers: { 'Authorization': this.autorisation, 'X-Atlassian-Token': 'no-check', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: newThemeName })
+        })
+        .then(checkPermissionError.bind(this))
+        .then(checkAuthenticationError.bind(this))
+        .then(response => checkThemeNotRenamed.call(this, response, newThemeName))
+        .catch(rethrowRedacted.bind(this));
+}
+
+// Scroll Viewport treats space keys case-sensitive while Confluence doesn't, so a space key in the wrong case still finds the space
+// fails if the key of the space differs in case from the space key of this, other responses are ignored since the check is only a safeguard
+function verifySpaceKey() {
+    if (!this.spaceKey) {
+        return Promise.resolve();
+    }
+
+    const url = `${this.confluenceBaseUrl}/rest/api/space/${encodeURIComponent(this.spaceKey)}`;
+
+    return this.transport(url,
+        {
+            method: 'GET',
+            headers: { 'Authorization': this.autorisation }
+        })
+        .then(response => response.status == 200 ? response.json() : undefined)
+        .then(space => {
+            if (space && typeof space.key == 'string' && space.key != this.spaceKey && space.key.toLowerCase() == this.spaceKey.toLowerCase()) {
+                throw new ConfigError(
+                    `The space key '${this.spaceKey}' of target environment '${this.envName}' differs in case from the key '${space.key}' of the space in Confluence. Scroll Viewport treats space keys case-sensitive, please use '${space.key}'.`,
+                    { url, spaceKey: this.spaceKey, expectedSpaceKey: space.key, hint: `Set the spaceKey to '${space.key}'.` });
+            }
+        })
+        .catch(rethrowRedacted.bind(this));
+}
+
+// flattens the resource tree returned by Scroll Viewport to the paths of the contained files
+// folders contain their resources as children, a node without path is addressed by its name relative to the parent folder
+function flattenResourceTree(nodes, parentPath = '') {
+    return nodes.reduce((acc, node) => {
+        const nodePath = (node.path || (parentPath ? parentPath + '/' + node.name : node.name)).replace(/^\/+/, '');
+        return acc.concat(Array.isArray(node.children) ? flattenResourceTree(node.children, nodePath) : [nodePath]);
+    }, []);
+}
+
+// encodes every segment of the resource path separately such that the slashes are kept
+function getRestUrlForResource(restUrlForThemeResources, resourcePath) {
+    return restUrlForThemeResources + '/' + resourcePath.split('/').map(encodeURIComponent).join('/');
 }
 
 // ----------------- Error checking ----------------- //
 
-    function checkAuthenticationError(response) {
+    // secrets can end up in errors in many ways, e.g. in the URL of a network error, so every error is redacted before it's passed on
+    // errors of node-fetch, e.g. a refused connection, are passed on as NetworkError
+    function rethrowRedacted(err) {
+        const error = err.name == 'FetchError'
+            ? new NetworkError(`Can not reach \'${this.confluenceBaseUrl}\': ${err.message}`, { code: err.code, type: err.type, spaceKey: this.spaceKey, hint: err.type == 'request-timeout'
+                ? 'Set a higher timeout in the target environment, or split large uploads with batchBytes.'
+                : 'Check the confluenceBaseUrl, the network connection and the proxy settings.' })
+            : err;
+
+        ['message', 'url', 'body'].filter(item => typeof error[item] == 'string').forEach(item => {
+            error[item] = redact(error[item], this.secrets);
+        });
+        throw error;
+    }
+
+    // the body of the response often tells why Scroll Viewport rejected a request, it's read before the error is thrown
+    async function createResponseError(ErrorClass, message, response, hint) {
+        let body;
+        try {
+            body = getBodyExcerpt(await response.text());
+        } catch (err) {
+            body = undefined;
+        }
+
+        return new ErrorClass(message, { status: response.status, url: response.url, body, spaceKey: this.spaceKey, hint });
+    }
+
+    async function checkAuthenticationError(response) {
         if (response.status == 401) {
-            throw new PluginError(PLUGIN_NAME, `Authentication error. Space Key: ${this.spaceKey ||
-            'GLOBAL'}. Make sure username \'${this.username}\' and password \'${this.passive}\' are correct.`);
+            throw await createResponseError.call(this, AuthenticationError, `Authentication error. Space Key: ${this.spaceKey ||
+            'GLOBAL'}. Make sure ${this.token ? 'the token is' : `username \'${this.username}\' and its password are`} correct.`, response,
+                this.token ? 'Check that the token is valid and not expired.' : 'Check the username and password of the target environment.');
         }
         return response; // for promise chain to continue if doesn't throw
     }
 
-    function checkPermissionError(response) {
+    async function checkPermissionError(response) {
         if (response.status == 403) {
-            throw new PluginError(PLUGIN_NAME,
-                `Permission error. Space Key: ${this.spaceKey || 'GLOBAL'}. Make sure user \'${this.username}\' has the necessary permissions.`);
+            throw await createResponseError.call(this, PermissionError,
+                `Permission error. Space Key: ${this.spaceKey || 'GLOBAL'}. Make sure ${this.token ? 'the user of the token' : `user \'${this.username}\'`} has the necessary permissions.`, response,
+                'Grant the user the permissions to manage Scroll Viewport themes in the space.');
         }
         return response; // for promise chain to continue if doesn't throw
     }
 
-    function checkThemeNotFound(response) {
+    async function checkThemeNotFound(response) {
         if (response.status != 200) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can not find theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`)
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : ViewportError,
+                `Can not find theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response,
+                `Check the theme name and the space key, which is case-sensitive.`)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    // only a 404 means the theme doesn't exist, e.g. a server error must not lead to creating the theme again
+    async function checkThemeNotLookedUp(response) {
+        if (response.status != 200 && response.status != 404) {
+            throw await createResponseError.call(this, NetworkError,
+                `Can not check if theme \'${this.themeName}\' exists at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response,
+                'Scroll Viewport failed to look up the theme, check that Confluence and Scroll Viewport are running and try again.')
         }
         return response; // for promise chain to continue if doesn't throw
     }
 
-    function checkThemeNotCreated(response) {
+    async function checkThemeNotCreated(response) {
         if (response.status != 200) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can not create theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`)
+            throw await createResponseError.call(this, ViewportError,
+                `Can not create theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
         }
         return response; // for promise chain to continue if doesn't throw
     }
 
-    function checkThemeNotReset(response) {
+    async function checkThemeNotReset(response) {
         if (response.status != 204) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can not reset theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`)
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : ViewportError,
+                `Can not reset theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
         }
         return response; // for promise chain to continue if doesn't throw
     }
 
-    function checkThemeNotUploaded(response) {
+    // the status decides whether the upload can be retried
+    async function checkThemeNotUploaded(response) {
         if (response.status != 201) {
-            throw new PluginError(PLUGIN_NAME,
-                `Can not upload resources to theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`)
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : UploadError,
+                `Can not upload resources to theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response,
+                response.status == 413 ? 'The request is too large, set batchBytes to split the upload into smaller requests.' : undefined);
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    async function checkResourceNotFetched(response, resourcePath) {
+        if (response.status != 200) {
+            throw await createResponseError.call(this, ViewportError,
+                `Can not fetch resource \'${resourcePath}\' of theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
         }
         return response; // for promise chain to continue if doesn't throw
-    }
\ No newline at end of file
+    }
+
+    async function checkResourcesNotListed(response) {
+        if (response.status != 200) {
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : ViewportError,
+                `Can not list resources of theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    async function checkResourceNotDeleted(response, resourcePath) {
+        if (response.status != 204) {
+            throw await createResponseError.call(this, ViewportError,
+                `Can not delete resource \'${resourcePath}\' of theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    async function checkThemesNotListed(response) {
+        if (response.status != 200) {
+            throw await createResponseError.call(this, ViewportError,
+                `Can not list themes of space \'${this.spaceKey || 'GLOBAL'}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    async function checkThemeNotDeleted(response) {
+        if (response.status != 204 && response.status != 200) {
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : ViewportError,
+                `Can not delete theme \'${this.themeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
+
+    async function checkThemeNotRenamed(response, newThemeName) {
+        if (response.status != 200) {
+            throw await createResponseError.call(this, response.status == 404 ? ThemeNotFoundError : ViewportError,
+                `Can not rename theme \'${this.themeName}\' to \'${newThemeName}\' at \'${this.confluenceBaseUrl}\': ${response.status} - ${response.statusText}.`, response)
+        }
+        return response; // for promise chain to continue if doesn't throw
+    }
@@ -0,0 +1,99 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const PluginError = require('plugin-error');
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+// ----------------- Configuration ----------------- //
+
+// name of the marker resource that is uploaded into preview themes, it records the branch and when the preview expires
+const PREVIEW_RESOURCE = 'viewport-uploader-preview.json';
+
+// separates the name of the theme from the branch in the name of a preview theme, e.g. 'my-theme--feature-x'
+const PREVIEW_SEPARATOR = '--';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ----------------- Exports ----------------- //
+
+exports.PREVIEW_RESOURCE = PREVIEW_RESOURCE;
+exports.getPreviewThemeName = getPreviewThemeName;
+exports.getPreviewBranch = getPreviewBranch;
+exports.toBranchSlug = toBranchSlug;
+exports.createPreviewMarker = createPreviewMarker;
+exports.parsePreviewMarker = parsePreviewMarker;
+exports.getExpiryReason = getExpiryReason;
+
+// derives the name of the preview theme of a branch, e.g. 'feature/X-1' of 'my-theme' results in 'my-theme--feature-x-1'
+function getPreviewThemeName(themeName, branch) {
+    const branchSlug = toBranchSlug(branch);
+
+    if (!branchSlug) {
+        throw new PluginError(PLUGIN_NAME,
+            `The branch '${branch}' is invalid. Please provide a branch name or pull request identifier that contains at least one letter or digit.`);
+    }
+
+    return themeName + PREVIEW_SEPARATOR + branchSlug;
+}
+
+// returns the branch slug if the theme name is the one of a preview theme of themeName, otherwise undefined
+function getPreviewBranch(themeName, previewThemeName) {
+    const prefix = themeName + PREVIEW_SEPARATOR;
+
+    if (!previewThemeName.startsWith(prefix) || previewThemeName.length == prefix.length) {
+        return undefined;
+    }
+
+    return previewThemeName.slice(prefix.length);
+}
+
+// branch names may contain slashes and other characters that are awkward in theme names and URLs
+// the slug is lower case such that branches only differing in case share a preview
+function toBranchSlug(branch) {
+    return String(branch === undefined || branch === null ? '' : branch)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// the preview expires ttl days after the last deploy, i.e. every deploy extends it
+function createPreviewMarker(themeName, branch, ttl, now = Date.now()) {
+    return {
+        themeName,
+        branch: toBranchSlug(branch),
+        deployedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * DAY).toISOString(),
+    };
+}
+
+// parses a marker from a buffer or string, returns undefined if it is malformed
+function parsePreviewMarker(contents) {
+    let marker;
+    try {
+        marker = JSON.parse(contents.toString());
+    } catch (err) {
+        return undefined;
+    }
+
+    if (!marker || typeof marker.branch != 'string' || isNaN(Date.parse(marker.deployedAt)) || isNaN(Date.parse(marker.expiresAt))) {
+        return undefined;
+    }
+
+    return marker;
+}
+
+// returns why a preview should be deleted, or undefined if it should be kept
+// branches are the names of the existing branches, a preview of any other branch is deleted if they are given
+function getExpiryReason(marker, { branches, maxAge, now = Date.now() } = {}) {
+    if (Date.parse(marker.expiresAt) <= now) {
+        return 'expired';
+    } else if (maxAge !== undefined && Date.parse(marker.deployedAt) + maxAge * DAY <= now) {
+        return 'too old';
+    } else if (branches !== undefined && !branches.map(toBranchSlug).includes(marker.branch)) {
+        return 'branch gone';
+    }
+    return undefined;
+}
@@ -0,0 +1,117 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const util = require('util');
+const chalk = require('chalk');
+
+// ----------------- Configuration ----------------- //
+
+const BAR_WIDTH = 30;
+
+// ----------------- Exports ----------------- //
+
+exports.createProgressTracker = createProgressTracker;
+exports.renderProgress = renderProgress;
+exports.formatBytes = formatBytes;
+
+// tracks the progress of streaming form data to Scroll Viewport, report is called with a copy of the progress on every change
+// bytes include the multipart boundaries and the manifest, such that bytesSent reaches bytesTotal when all request bodies are sent
+function createProgressTracker(filesTotal, report) {
+    const progress = {
+        bytesSent: 0,
+        bytesTotal: 0,
+        filesDone: 0,
+        filesTotal,
+        currentFile: undefined,
+    };
+
+    return {
+
+        // tracks a single request of the upload, discard() reverts its counts if the request failed and is retried
+        request(targetPaths) {
+            let bytesSent = 0;
+            let bytesTotal = 0;
+            let filesDone = 0;
+
+            return {
+
+                // to be passed to createFormData()
+                onFile(event, index) {
+                    if (event == 'start') {
+                        progress.currentFile = targetPaths[index];
+                    } else {
+                        filesDone++;
+                        progress.filesDone++;
+                    }
+                    report({ ...progress });
+                },
+
+                // counts the bytes of the form data while it's streamed, must be called before the request is sent
+                async attach(formData) {
+                    bytesTotal = await util.promisify(formData.getLength.bind(formData))();
+                    progress.bytesTotal += bytesTotal;
+
+                    formData.on('data', chunk => {
+                        bytesSent += chunk.length;
+                        progress.bytesSent += chunk.length;
+                        report({ ...progress });
+                    });
+                },
+
+                discard() {
+                    progress.bytesSent -= bytesSent;
+                    progress.bytesTotal -= bytesTotal;
+                    progress.filesDone -= filesDone;
+                    report({ ...progress });
+                },
+            };
+        },
+    };
+}
+
+// renders the 'progress' events of a theme to a terminal, returns a function to stop rendering
+// a TTY gets a progress bar that is updated in place, otherwise e.g. in CI a line is written for every uploaded file
+function renderProgress(theme, stream = process.stderr) {
+
+    // the state of the previous event, a new upload starts again at zero
+    let lastFilesDone = 0;
+    let lastComplete = false;
+
+    const listener = progress => {
+        const { bytesSent, bytesTotal, filesDone, filesTotal, currentFile } = progress;
+        const complete = filesDone == filesTotal && bytesSent >= bytesTotal;
+
+        if (stream.isTTY) {
+            const ratio = bytesTotal ? Math.min(bytesSent / bytesTotal, 1) : 0;
+            const filled = Math.round(ratio * BAR_WIDTH);
+            const bar = chalk.green('#'.repeat(filled)) + '-'.repeat(BAR_WIDTH - filled);
+            const line = `[${bar}] ${Math.floor(ratio * 100)}% ${filesDone}/${filesTotal} files ${formatBytes(bytesSent)}/${formatBytes(bytesTotal)} ${currentFile || ''}`;
+
+            // clear the rest of the previous line since the file name might have been longer
+            stream.write('\r' + line + '\x1b[K');
+
+            if (complete && !lastComplete) {
+                stream.write('\n');
+            }
+        } else if (filesDone > lastFilesDone) {
+            stream.write(`Uploaded ${filesDone}/${filesTotal} files (${formatBytes(bytesSent)}/${formatBytes(bytesTotal)}) ${currentFile || ''}\n`);
+        }
+
+        lastFilesDone = filesDone;
+        lastComplete = complete;
+    };
+
+    theme.on('progress', listener);
+
+    return () => theme.removeListener('progress', listener);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    } else if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
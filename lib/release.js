@@ -0,0 +1,65 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+
+// ----------------- Exports ----------------- //
+
+exports.createRelease = createRelease;
+exports.isSameRelease = isSameRelease;
+
+// describes what is deployed, it's stored in the manifest of the theme such that info() can tell it for any target environment
+// the version is the one of the nearest package.json and the commit the HEAD of the git repository of the CWD, both are undefined outside of them
+// the properties of release override the detected ones or add further ones, e.g. the commit or the build number of a CI
+function createRelease(release = {}, cwd = process.cwd(), now = Date.now()) {
+    return {
+        version: readPackageVersion(cwd),
+        commit: readGitCommit(cwd),
+        deployedAt: new Date(now).toISOString(),
+        deployedBy: readUserName(),
+        ...release,
+    };
+}
+
+// compares two releases except for the time of the deploy, e.g. to tell if a delta upload without changes needs to update the manifest
+function isSameRelease(release, otherRelease) {
+    const keys = Object.keys({ ...release, ...otherRelease }).filter(item => item != 'deployedAt');
+    return !!release && !!otherRelease && keys.every(item => release[item] === otherRelease[item]);
+}
+
+// ----------------- Helpers ----------------- //
+
+function readPackageVersion(dir) {
+    const packagePath = path.join(dir, 'package.json');
+
+    if (fs.existsSync(packagePath)) {
+        try {
+            return fs.readJsonSync(packagePath).version;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    return path.dirname(dir) == dir ? undefined : readPackageVersion(path.dirname(dir));
+}
+
+function readGitCommit(cwd) {
+    try {
+        return childProcess.execFileSync('git', ['rev-parse', 'HEAD'], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+// os.userInfo() throws if the user has no entry in the password database, e.g. in some containers
+function readUserName() {
+    try {
+        return os.userInfo().username;
+    } catch (err) {
+        return process.env.USER || process.env.USERNAME;
+    }
+}
@@ -0,0 +1,145 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+
+const { isObjectOf } = require('./validate');
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+// ----------------- Configuration ----------------- //
+
+// formats of the report and the path of the file each one is written to, see README
+const REPORT_FORMATS = ['json', 'junit'];
+
+// ----------------- Exports ----------------- //
+
+exports.REPORT_FORMATS = REPORT_FORMATS;
+exports.isReportOptions = isReportOptions;
+exports.createReport = createReport;
+exports.finishReport = finishReport;
+exports.writeReport = writeReport;
+exports.formatJUnit = formatJUnit;
+
+// the report option maps a format of the report to the path of the file, e.g. { json: 'report.json', junit: 'junit.xml' }
+function isReportOptions(value) {
+    return isObjectOf(value, item => typeof item == 'string' && !!item) && Object.keys(value).every(item => REPORT_FORMATS.includes(item));
+}
+
+// creates the report of an upload, sync or deploy to a theme, the files are added while uploading
+// target identifies the theme and the target environment like in a dry run plan
+function createReport(operation, target, now = Date.now()) {
+    return {
+        operation,
+        ...target,
+        release: undefined,
+        startedAt: new Date(now).toISOString(),
+        finishedAt: undefined,
+        duration: undefined,
+        ok: undefined,
+        error: undefined,
+        files: [],
+    };
+}
+
+// completes the report once the operation is done, err is the error it failed with, if any
+function finishReport(report, err, now = Date.now()) {
+    report.finishedAt = new Date(now).toISOString();
+    report.duration = now - Date.parse(report.startedAt);
+    report.ok = !err;
+    report.error = err ? err.message : undefined;
+    return report;
+}
+
+// writes the reports of one or more targets to the files of options, e.g. { json: 'report.json', junit: 'junit.xml' }
+async function writeReport(reports, options) {
+    if (options.json) {
+        await fs.outputJson(options.json, { reports }, { spaces: 2 });
+    }
+    if (options.junit) {
+        await fs.outputFile(options.junit, formatJUnit(reports));
+    }
+}
+
+// every report is a test suite and every file a test case, such that CI servers can show failed and slow uploads
+// an operation that failed without a failed file, e.g. because of a validation error, is a failed test case of its own
+function formatJUnit(reports) {
+    const suites = reports.map(report => {
+        const cases = report.files.map(item => ({
+            name: item.targetPath,
+            time: item.duration,
+            skipped: item.status == 'skipped',
+            failure: item.status == 'failed' ? item.error : undefined,
+        }));
+
+        if (!report.ok && !report.files.some(item => item.status == 'failed')) {
+            cases.push({ name: report.operation, time: report.duration, skipped: false, failure: report.error || 'Failed' });
+        }
+
+        return { report, cases };
+    });
+
+    const count = (cases, predicate) => cases.filter(predicate).length;
+    const allCases = [].concat(...suites.map(item => item.cases));
+
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites name="${PLUGIN_NAME}" tests="${allCases.length}" failures="${count(allCases, item => item.failure !== undefined)}" time="${formatSeconds(sum(reports.map(item => item.duration)))}">`,
+    ];
+
+    suites.forEach(({ report, cases }) => {
+        const suiteName = `${report.operation} ${report.themeName} (${report.envName}${report.spaceKey === undefined ? '' : `, ${report.spaceKey || 'GLOBAL'}`})`;
+
+        lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${count(cases, item => item.failure !== undefined)}" skipped="${count(cases, item => item.skipped)}" time="${formatSeconds(report.duration)}" timestamp="${report.startedAt}">`);
+
+        const properties = { confluenceBaseUrl: report.confluenceBaseUrl, ...report.release };
+        const propertyNames = Object.keys(properties).filter(item => properties[item] !== undefined);
+        if (propertyNames.length) {
+            lines.push(`    <properties>`);
+            propertyNames.forEach(item => {
+                lines.push(`      <property name="${escapeXml(item)}" value="${escapeXml(properties[item])}"/>`);
+            });
+            lines.push(`    </properties>`);
+        }
+
+        cases.forEach(item => {
+            const attributes = `classname="${escapeXml(report.themeName)}" name="${escapeXml(item.name)}" time="${formatSeconds(item.time)}"`;
+
+            if (item.failure !== undefined) {
+                lines.push(`    <testcase ${attributes}>`, `      <failure message="${escapeXml(item.failure)}"/>`, `    </testcase>`);
+            } else if (item.skipped) {
+                lines.push(`    <testcase ${attributes}>`, `      <skipped message="unchanged"/>`, `    </testcase>`);
+            } else {
+                lines.push(`    <testcase ${attributes}/>`);
+            }
+        });
+
+        lines.push(`  </testsuite>`);
+    });
+
+    lines.push(`</testsuites>`);
+
+    return lines.join('\n') + '\n';
+}
+
+// ----------------- Helpers ----------------- //
+
+function sum(values) {
+    return values.reduce((acc, item) => acc + (item || 0), 0);
+}
+
+// JUnit measures time in seconds, the report in milliseconds
+function formatSeconds(milliseconds) {
+    return ((milliseconds || 0) / 1000).toFixed(3);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
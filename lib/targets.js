@@ -0,0 +1,74 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const { ConfigError } = require('./errors');
+
+// ----------------- Exports ----------------- //
+
+exports.resolveTargets = resolveTargets;
+exports.hasWildcards = hasWildcards;
+
+// resolves targets to a list of { envName, spaceKey } without duplicates
+// a target is an env name, an env name and a space key separated by a colon, or an object with envName and optionally spaceKey
+// env names may contain the wildcards * and ?, which are matched against envNames
+function resolveTargets(targets, envNames = []) {
+    const resolvedTargets = [];
+
+    [].concat(targets).forEach(target => {
+        const { envName, spaceKey } = parseTarget(target);
+
+        if (!hasWildcards(envName)) {
+            resolvedTargets.push({ envName, spaceKey });
+            return;
+        }
+
+        const pattern = toRegExp(envName);
+        const matchingEnvNames = envNames.filter(item => pattern.test(item));
+
+        if (!matchingEnvNames.length) {
+            throw new ConfigError(
+                `The target '${envName}' doesn't match any target environment. Known target environments are: ${envNames.join(", ")}.`);
+        }
+
+        matchingEnvNames.forEach(item => resolvedTargets.push({ envName: item, spaceKey }));
+    });
+
+    return resolvedTargets.filter((target, i) =>
+        resolvedTargets.findIndex(item => item.envName == target.envName && item.spaceKey == target.spaceKey) == i);
+}
+
+function hasWildcards(envName) {
+    return /[*?]/.test(envName);
+}
+
+// ----------------- Helpers ----------------- //
+
+function parseTarget(target) {
+    if (typeof target == 'string' && target) {
+        const separatorIndex = target.indexOf(':');
+        return separatorIndex == -1
+            ? { envName: target, spaceKey: undefined }
+            : { envName: target.slice(0, separatorIndex), spaceKey: target.slice(separatorIndex + 1) };
+    } else if (target && typeof target == 'object' && typeof target.envName == 'string' && target.envName
+        && (target.spaceKey === undefined || typeof target.spaceKey == 'string')) {
+        return { envName: target.envName, spaceKey: target.spaceKey };
+    }
+
+    throw new ConfigError(
+        `The target '${JSON.stringify(target)}' is invalid. Please provide an env name, an env name and a space key separated by a colon, or an object with envName and optionally spaceKey.`);
+}
+
+// converts an env name with wildcards to a regular expression that matches the whole name
+function toRegExp(envName) {
+    const source = envName.split('').map(item => {
+        if (item == '*') {
+            return '.*';
+        } else if (item == '?') {
+            return '.';
+        }
+        return item.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,135 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const fetch = require('node-fetch');
+const HttpProxyAgent = require('http-proxy-agent');
+const HttpsProxyAgent = require('https-proxy-agent');
+
+const { ConfigError } = require('./errors');
+
+// ----------------- Configuration ----------------- //
+
+// milliseconds until a request is aborted if the response isn't complete, an upload of a large batch may take a while
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+// properties of a target environment that configure the connection to Confluence, see README
+// Note: like all properties of a target environment they are strings, since they can be set by environmental variables as well
+const transportTemplate = {
+    'proxy': /^https?:\/\/[^\s]+$/i,
+    'noProxy': /.*/i,
+    'caFile': /.+/i,
+    'timeout': /^[0-9]+$/,
+    'keepAlive': /^(true|false)$/,
+};
+
+// ----------------- Exports ----------------- //
+
+exports.transportTemplate = transportTemplate;
+exports.createTransport = createTransport;
+exports.getProxy = getProxy;
+
+// creates a function with the signature of fetch that applies the transport settings of the target environment to every request
+// the agent is created once, such that all requests of a theme, e.g. of exists(), create() and upload(), reuse its connections
+// fetchImpl replaces node-fetch, e.g. for tests, it receives the agent and the timeout as options like node-fetch
+function createTransport({ confluenceBaseUrl, proxy, noProxy, caFile, timeout, keepAlive }, fetchImpl = fetch) {
+    const isHttps = new URL(confluenceBaseUrl).protocol == 'https:';
+    const proxyUrl = getProxy(confluenceBaseUrl, { proxy, noProxy });
+
+    // additional CAs are trusted in addition to the ones of Node, not instead of them
+    const ca = caFile ? getRootCertificates().concat(loadCaFile(caFile)) : undefined;
+
+    const agent = proxyUrl
+        ? createProxyAgent(proxyUrl, isHttps, ca)
+        : new (isHttps ? https : http).Agent({ keepAlive: keepAlive !== 'false', ca });
+
+    const requestTimeout = timeout === undefined ? DEFAULT_TIMEOUT : Number(timeout);
+
+    const transport = (url, options = {}) => fetchImpl(url, { agent, timeout: requestTimeout, ...options });
+
+    // the password of the proxy must be redacted like the credentials, the fetch implementation is passed on to copies of the theme
+    transport.secrets = proxyUrl && new URL(proxyUrl).password ? [decodeURIComponent(new URL(proxyUrl).password)] : [];
+    transport.fetch = fetchImpl;
+    transport.proxy = proxyUrl;
+
+    return transport;
+}
+
+// returns the URL of the proxy for a request to targetUrl, or undefined if it's sent directly
+// the proxy and noProxy of the target environment take precedence over the common environmental variables HTTPS_PROXY, HTTP_PROXY and NO_PROXY
+function getProxy(targetUrl, { proxy, noProxy } = {}) {
+    const { protocol, hostname, port } = new URL(targetUrl);
+    const env = process.env;
+
+    const proxyUrl = proxy || (protocol == 'https:' ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy);
+    const noProxyList = (noProxy !== undefined ? noProxy : env.NO_PROXY || env.no_proxy || '').split(/[\s,]+/).filter(item => !!item);
+
+    if (!proxyUrl || noProxyList.some(item => matchesNoProxy(item, hostname, port))) {
+        return undefined;
+    }
+
+    return proxyUrl;
+}
+
+// ----------------- Helpers ----------------- //
+
+// an entry of NO_PROXY is '*', a host name that also matches its subdomains, optionally with a leading dot or '*.', and optionally with a port
+function matchesNoProxy(entry, hostname, port) {
+    if (entry == '*') {
+        return true;
+    }
+
+    const [entryHost, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':');
+    const host = hostname.toLowerCase();
+
+    return (!entryPort || entryPort == port) && (host == entryHost || host.endsWith('.' + entryHost));
+}
+
+// the CONNECT tunnel to an HTTPS target needs the CAs as well, otherwise only the connection to the proxy would trust them
+// Note: proxy agents don't pool connections, so keepAlive has no effect behind a proxy
+function createProxyAgent(proxyUrl, isHttps, ca) {
+    const proxyOptions = { ...toAgentOptions(proxyUrl), ca };
+
+    if (!isHttps) {
+        return new HttpProxyAgent(proxyOptions);
+    }
+
+    const agent = new HttpsProxyAgent(proxyOptions);
+    if (ca) {
+        const callback = agent.callback.bind(agent);
+        agent.callback = (req, opts) => callback(req, { ...opts, ca });
+    }
+    return agent;
+}
+
+function toAgentOptions(proxyUrl) {
+    const { protocol, hostname, port, username, password } = new URL(proxyUrl);
+    return {
+        protocol,
+        host: hostname,
+        port: port || undefined,
+        auth: username ? `${decodeURIComponent(username)}:${decodeURIComponent(password)}` : undefined,
+    };
+}
+
+// Note: tls.rootCertificates was added in Node 12.3, before the default CAs can't be extended, only replaced
+function getRootCertificates() {
+    if (!tls.rootCertificates) {
+        throw new ConfigError(`Can't trust the CA bundle of caFile in addition to the default CAs since Node ${process.version} doesn't provide them.`,
+            { hint: 'Use Node 12.3 or later, or set the environmental variable NODE_EXTRA_CA_CERTS to the path of the CA bundle instead of caFile.' });
+    }
+    return tls.rootCertificates;
+}
+
+function loadCaFile(caFile) {
+    try {
+        return fs.readFileSync(caFile, 'utf8');
+    } catch (err) {
+        throw new ConfigError(`Can't read the CA bundle '${caFile}' of the target environment: ${err.message}`,
+            { hint: 'Set caFile to the path of a file with one or more PEM encoded certificates.' });
+    }
+}
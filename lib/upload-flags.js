@@ -0,0 +1,31 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const { isGlobList } = require('./files');
+const { isObjectOf } = require('./validate');
+const { isReportOptions } = require('./report');
+const { isFingerprintOptions } = require('./fingerprint');
+
+// ----------------- Configuration ----------------- //
+
+// optional options of upload(), sync() and deploy() in addition to the paths, which are a mapping or a list of mappings, see lib/mappings.js
+// Note: the webpack plugin validates the ones it passes on with this template as well
+const uploadFlagsTemplate = {
+    'delta': value => typeof value == 'boolean',
+    'batchSize': value => Number.isInteger(value) && value > 0,
+    'batchBytes': value => Number.isInteger(value) && value > 0,
+    'concurrency': value => Number.isInteger(value) && value > 0,
+    'retries': value => Number.isInteger(value) && value >= 0,
+    'dryRun': value => typeof value == 'boolean',
+    'profile': value => typeof value == 'string',
+    'ignore': isGlobList,
+    'validate': value => typeof value == 'boolean' || isObjectOf(value, () => true),
+    'release': value => isObjectOf(value, item => typeof item == 'string'),
+    'report': isReportOptions,
+    'fingerprint': isFingerprintOptions,
+};
+
+// ----------------- Exports ----------------- //
+
+exports.uploadFlagsTemplate = uploadFlagsTemplate;
@@ -2,6 +2,8 @@
 
 exports.regexVal = regexVal;
 exports.regexValArr = regexValArr;
+exports.predicateVal = predicateVal;
+exports.isObjectOf = isObjectOf;
 
 // validates an object against a template object
 // keys must be identical
@@ -51,4 +53,16 @@ function regexValArr(templateObj, obj) {
     } else {
         return true;
     }
-}
\ No newline at end of file
+}
+
+// validates an object of optional properties against a template object
+// keys must be contained in template object
+// values must satisfy the predicate functions in template object
+function predicateVal(templateObj, obj) {
+    return Object.keys(obj).every(item => templateObj.hasOwnProperty(item) && templateObj[item](obj[item]));
+}
+
+// checks that a value is a plain object whose values all satisfy the predicate
+function isObjectOf(value, predicate) {
+    return !!value && typeof value == 'object' && !Array.isArray(value) && Object.values(value).every(predicate);
+}
@@ -0,0 +1,157 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const { ConfigError } = require('./errors');
+const { getSourceSize, readSource, isGlobList, createMatcher } = require('./files');
+
+// ----------------- Configuration ----------------- //
+
+// a rule either fails the upload, only logs a warning or is skipped
+const RULE_LEVELS = ['error', 'warn', 'off'];
+
+const DEFAULT_VALIDATION = {
+    rules: {
+        velocity: 'error',
+        paths: 'error',
+        size: 'error',
+        required: 'error',
+        unwanted: 'warn',
+    },
+    maxSize: 10 * 1024 * 1024,
+    // opt-in, e.g. ['page.vm'], such that existing sync() and deploy() calls don't start to fail
+    required: [],
+    unwanted: ['**/*.map', '**/.DS_Store', '**/Thumbs.db', '**/desktop.ini'],
+    ignore: [],
+};
+
+// every segment of a target path may only contain the characters of the targetPath option and dots
+const PATH_SEGMENT = /^[a-zA-Z0-9_\-.]+$/;
+
+// directives of the Velocity Template Language that open a block closed by #end, and the ones only allowed inside of #if
+const VELOCITY_BLOCKS = ['if', 'foreach', 'macro', 'define'];
+const VELOCITY_BRANCHES = ['else', 'elseif'];
+const VELOCITY_DIRECTIVE = /#\{?(if|foreach|macro|define|else|elseif|end)\b\}?|#@[a-zA-Z_][\w-]*/g;
+
+const validationTemplate = {
+    'rules': value => !!value && typeof value == 'object' && Object.keys(value).every(item => DEFAULT_VALIDATION.rules.hasOwnProperty(item) && RULE_LEVELS.includes(value[item])),
+    'maxSize': value => Number.isInteger(value) && value > 0,
+    'required': isGlobList,
+    'unwanted': isGlobList,
+    'ignore': isGlobList,
+};
+
+// ----------------- Exports ----------------- //
+
+exports.resolveValidation = resolveValidation;
+exports.validateResources = validateResources;
+exports.checkVelocity = checkVelocity;
+
+// merges validation settings over the defaults, later ones win, rules are merged by rule and lists are replaced
+// undefined settings are skipped, e.g. if the project config doesn't have any
+function resolveValidation(...settings) {
+    return settings.filter(item => item !== undefined).reduce((acc, item) => {
+        if (!item || typeof item != 'object' || Array.isArray(item)
+            || !Object.keys(item).every(key => validationTemplate.hasOwnProperty(key) && validationTemplate[key](item[key]))) {
+            throw new ConfigError(
+                `The validation settings are invalid. Please provide an object with the properties ${Object.keys(validationTemplate).join(", ")}, rules may be ${Object.keys(DEFAULT_VALIDATION.rules).join(", ")} with the levels ${RULE_LEVELS.join(", ")}.`);
+        }
+        return { ...acc, ...item, rules: { ...acc.rules, ...item.rules } };
+    }, DEFAULT_VALIDATION);
+}
+
+// resolves with the problems of the resources about to be uploaded, each with rule, level, file and message
+// sourcePaths may contain in-memory entries instead of paths, see loadEntries()
+// complete is set if the resources replace all resources of the theme, only then the required resources are checked
+async function validateResources(sourcePaths, targetPaths, validation, { complete = false } = {}) {
+    const { rules } = validation;
+    const isIgnored = createMatcher(validation.ignore);
+    const isUnwanted = createMatcher(validation.unwanted);
+    const problems = [];
+
+    const report = (rule, file, message) => {
+        if (rules[rule] != 'off') {
+            problems.push({ rule, level: rules[rule], file, message });
+        }
+    };
+
+    for (let i = 0; i < sourcePaths.length; i++) {
+        const file = targetPaths[i];
+
+        if (isIgnored(file)) {
+            continue;
+        }
+
+        if (rules.paths != 'off' && !file.split('/').every(item => PATH_SEGMENT.test(item) && item != '.' && item != '..')) {
+            report('paths', file, `The path contains characters other than letters, digits, '_', '-' and '.', which Scroll Viewport rejects.`);
+        }
+
+        if (rules.unwanted != 'off' && isUnwanted(file)) {
+            report('unwanted', file, `The file is most likely uploaded by accident, e.g. a source map or a file of the operating system. Please add it to the ignore patterns.`);
+        }
+
+        if (rules.size != 'off') {
+            const size = await getSourceSize(sourcePaths[i]);
+            if (size > validation.maxSize) {
+                report('size', file, `The file has ${size} bytes, which exceeds the limit of ${validation.maxSize} bytes.`);
+            }
+        }
+
+        if (rules.velocity != 'off' && file.endsWith('.vm')) {
+            checkVelocity((await readSource(sourcePaths[i])).toString('utf8')).forEach(item => report('velocity', file, item));
+        }
+    }
+
+    if (complete && rules.required != 'off') {
+        [].concat(validation.required).filter(item => !targetPaths.includes(item)).forEach(item => {
+            report('required', item, `The theme requires the resource, but it isn't part of the upload.`);
+        });
+    }
+
+    return problems;
+}
+
+// checks that the block directives of a Velocity template are balanced, returns a message for every problem
+// Note: this isn't a parser, it catches the common mistakes of a missing or superfluous #end
+function checkVelocity(template) {
+    const problems = [];
+    const openBlocks = [];
+    const source = stripVelocityComments(template);
+
+    let match;
+    VELOCITY_DIRECTIVE.lastIndex = 0;
+    while ((match = VELOCITY_DIRECTIVE.exec(source)) !== null) {
+        const directive = match[1] || 'macro call';
+        const line = source.slice(0, match.index).split('\n').length;
+
+        // an escaped directive is output as it is
+        if (source[match.index - 1] == '\\') {
+            continue;
+        }
+
+        if (VELOCITY_BLOCKS.includes(directive) || directive == 'macro call') {
+            openBlocks.push({ directive: directive == 'macro call' ? match[0] : '#' + directive, line });
+        } else if (VELOCITY_BRANCHES.includes(directive)) {
+            if (!openBlocks.length || openBlocks[openBlocks.length - 1].directive != '#if') {
+                problems.push(`Line ${line}: #${directive} outside of #if.`);
+            }
+        } else if (!openBlocks.pop()) {
+            problems.push(`Line ${line}: #end without an open directive.`);
+        }
+    }
+
+    openBlocks.forEach(item => problems.push(`Line ${item.line}: ${item.directive} is never closed with #end.`));
+
+    return problems;
+}
+
+// ----------------- Helpers ----------------- //
+
+// replaces comments and unparsed content with line breaks only, such that line numbers are kept
+function stripVelocityComments(template) {
+    const keepLines = text => text.replace(/[^\n]/g, '');
+    return template
+        .replace(/#\[\[[\s\S]*?\]\]#/g, keepLines)
+        .replace(/#\*[\s\S]*?\*#/g, keepLines)
+        .replace(/##[^\n]*/g, keepLines);
+}
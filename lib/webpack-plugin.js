@@ -0,0 +1,144 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const path = require('path');
+const slash = require('slash');
+const PluginError = require('plugin-error');
+
+const ViewportTheme = require('..');
+const { createLogger } = require('./console');
+const { TARGET_PATH } = require('./mappings');
+const { uploadFlagsTemplate } = require('./upload-flags');
+
+// Note: If you change the plugin name here change it in all other files as well
+const PLUGIN_NAME = 'viewport-uploader';
+
+// ----------------- Configuration ----------------- //
+
+// options of upload() and sync() that are passed on, the paths are given by the output path of webpack
+const uploadFlagNames = ['delta', 'batchSize', 'batchBytes', 'concurrency', 'retries', 'ignore', 'validate', 'fingerprint'];
+
+const optionsTemplate = uploadFlagNames.reduce((acc, item) => {
+    acc[item] = value => value === undefined || uploadFlagsTemplate[item](value);
+    return acc;
+}, {
+    'themeName': value => typeof value == 'string' && !!value,
+    'envName': value => value === undefined || typeof value == 'string',
+    'targetPath': value => value === undefined || (typeof value == 'string' && TARGET_PATH.test(value)),
+    'sync': value => value === undefined || typeof value == 'boolean',
+    'verbose': value => value === undefined || typeof value == 'boolean',
+    'logger': value => value === undefined || typeof value == 'object',
+    'logLevel': value => value === undefined || typeof value == 'string',
+    'logFormat': value => value === undefined || typeof value == 'string',
+    'logStream': value => value === undefined || (!!value && typeof value.write == 'function'),
+    'quiet': value => value === undefined || typeof value == 'boolean',
+});
+
+// ----------------- Class ----------------- //
+
+// webpack plugin that uploads the emitted assets of every compilation to a theme in Scroll Viewport
+class ViewportUploaderPlugin {
+
+    constructor(options = {}) {
+
+        // validate options, unknown properties are rejected to catch typos early
+        const invalidKeys = Object.keys(options).filter(item => !optionsTemplate[item] || !optionsTemplate[item](options[item]));
+        const missingKeys = Object.keys(optionsTemplate).filter(item => !(item in options) && !optionsTemplate[item](undefined));
+
+        if (invalidKeys.length || missingKeys.length) {
+            throw new PluginError(PLUGIN_NAME,
+                `The options passed to ViewportUploaderPlugin are invalid: ${invalidKeys.concat(missingKeys).join(", ")}. Please provide options according to the documentation.`);
+        }
+
+        this.options = { targetPath: '', sync: false, verbose: false, ...options };
+
+        // log options are passed on to the theme, the records of the plugin itself use the same options
+        const { themeName, logger, logLevel, logFormat, logStream, quiet } = this.options;
+        this.logOptions = { logger, logLevel, logFormat, logStream, quiet };
+        this.logger = createLogger({ ...this.logOptions, context: { themeName } });
+
+        // the upload flags are passed on to every upload
+        this.uploadFlags = uploadFlagNames.filter(item => options[item] !== undefined).reduce((acc, item) => {
+            acc[item] = options[item];
+            return acc;
+        }, {});
+
+        // Note: the theme is created on the first compilation because the constructor can't be async
+        this.theme = undefined;
+        this.isInitialUpload = true;
+
+        // uploads of overlapping compilations are chained such that they never run concurrently
+        this.queue = Promise.resolve();
+    }
+
+    apply(compiler) {
+        compiler.hooks.afterEmit.tapPromise(PLUGIN_NAME, compilation => {
+            const upload = this.queue.then(() => this.upload(compilation, compiler.outputPath));
+
+            // a failed upload mustn't block the following ones
+            this.queue = upload.catch(() => {});
+            return upload;
+        });
+    }
+
+    // uploads the emitted assets of a compilation, failures are reported as compilation errors instead of crashing watch mode
+    async upload(compilation, outputPath) {
+
+        if (compilation.errors.length) {
+            this.logger.warn(`Won't upload to Scroll Viewport since the compilation has errors.`, { event: 'upload.skip' });
+            return;
+        }
+
+        try {
+            const { themeName, envName, targetPath, sync, verbose } = this.options;
+
+            // the glob is taken relative to the CWD, so is the sourcePath
+            const sourcePath = slash(path.relative(process.cwd(), outputPath));
+
+            if (sourcePath.split('/').includes('..')) {
+                throw new PluginError(PLUGIN_NAME,
+                    `Can't upload from '${outputPath}' since the output path of webpack must be inside the CWD '${process.cwd()}'.`);
+            }
+
+            const uploadOptions = { ...this.uploadFlags, sourcePath: sourcePath ? sourcePath + '/' : '', targetPath };
+
+            // the theme is only kept once create() succeeded, otherwise the next compilation tries again with a new instance
+            if (!this.theme) {
+                const theme = new ViewportTheme({ themeName, envName, ...this.logOptions });
+                await theme.create();
+                this.theme = theme;
+            }
+
+            // the first compilation mirrors the whole output path, afterwards only the assets that were emitted again are uploaded
+            if (this.isInitialUpload && sync) {
+                await this.theme.sync({ ...uploadOptions, glob: uploadOptions.sourcePath + '**' }, verbose);
+            } else {
+                const emittedAssets = getEmittedAssets(compilation);
+
+                if (!emittedAssets.length) {
+                    this.logger.info(`Won't upload to Scroll Viewport since no assets have been emitted.`, { event: 'upload.skip' });
+                    return;
+                }
+
+                await this.theme.upload({ ...uploadOptions, glob: emittedAssets.map(item => uploadOptions.sourcePath + slash(item)) }, verbose);
+            }
+
+            this.isInitialUpload = false;
+        } catch (err) {
+            compilation.errors.push(err);
+        }
+    }
+}
+
+// ----------------- Helpers ----------------- //
+
+// webpack 5 tracks emitted assets in a set, webpack 4 flags the assets themselves
+function getEmittedAssets(compilation) {
+    if (compilation.emittedAssets) {
+        return Array.from(compilation.emittedAssets);
+    }
+    return Object.keys(compilation.assets).filter(item => compilation.assets[item].emitted);
+}
+
+module.exports = ViewportUploaderPlugin;
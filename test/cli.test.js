@@ -0,0 +1,92 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ViewportTheme = require('..');
+const { createProject, readResources, runCli } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('CLI', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}' });
+    });
+
+    const uploadArgs = ['--theme', 'test', '--glob', 'build/**', '--source', 'build', '--target', '', '--quiet'];
+
+    it('exits with 0 on success', async () => {
+        assert.equal((await runCli(['create', '--theme', 'test', '--quiet'])).code, 0);
+        assert.equal((await runCli(['upload', ...uploadArgs])).code, 0);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}' });
+    });
+
+    it('exits with 1 on failure', async () => {
+        process.env.VPRT_PASSWORD = 'wrong';
+        const { code, stderr } = await runCli(['create', '--theme', 'test', '--quiet']);
+
+        assert.equal(code, 1);
+        assert.match(stderr, /Authentication error/);
+    });
+
+    it('exits with 2 on invalid usage', async () => {
+        assert.equal((await runCli([])).code, 2);
+        assert.equal((await runCli(['unknown', '--theme', 'test'])).code, 2);
+        assert.equal((await runCli(['upload', '--unknown'])).code, 2);
+        assert.equal((await runCli(['upload', '--theme'])).code, 2);
+    });
+
+    it("exits with 3 if the theme doesn't exist", async () => {
+        assert.equal((await runCli(['exists', '--theme', 'test', '--quiet'])).code, 3);
+        assert.equal((await runCli(['upload', ...uploadArgs])).code, 3);
+    });
+
+    it('lists the target environment of the environmental variables without ~/.vpconfig.json', async () => {
+        const { code, stdout } = await runCli(['env', 'list']);
+
+        assert.equal(code, 0);
+        assert.equal(stdout, `MOCK\t${mock.url}\tDOC\n`);
+    });
+
+    it('lists the target environments of ~/.vpconfig.json with the overrides of the environmental variables', async () => {
+        fs.outputJsonSync(path.join(os.homedir(), '.vpconfig.json'), {
+            MOCK: { ...mock.targetEnv('OTHER'), confluenceBaseUrl: 'https://confluence.example.com' },
+            PROD: { ...mock.targetEnv('PROD'), envName: 'PROD' },
+        });
+        const { code, stdout } = await runCli(['env', 'list']);
+
+        assert.equal(code, 0);
+        assert.equal(stdout, `MOCK\t${mock.url}\tDOC\nPROD\t${mock.url}\tPROD\n`);
+    });
+
+    it('prints the result as JSON', async () => {
+        await runCli(['create', '--theme', 'test', '--quiet']);
+        const { code, stdout } = await runCli(['exists', '--theme', 'test', '--json']);
+
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), { command: 'exists', ok: true, result: { themeName: 'test', exists: true } });
+    });
+
+    it('prints the error as JSON', async () => {
+        const { code, stdout } = await runCli(['upload', ...uploadArgs, '--json']);
+        const output = JSON.parse(stdout);
+
+        assert.equal(code, 3);
+        assert.equal(output.ok, false);
+        assert.equal(output.errorDetails.name, 'ThemeNotFoundError');
+    });
+});
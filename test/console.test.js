@@ -0,0 +1,149 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const stream = require('stream');
+
+const ViewportTheme = require('..');
+const { createLogger } = require('../lib/console');
+const { createProject, createTheme } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+// a writable stream that collects what is written to it
+function createOutput() {
+    const output = new stream.Writable({
+        write(chunk, encoding, callback) {
+            output.text += chunk;
+            callback();
+        },
+    });
+    output.text = '';
+    output.records = () => output.text.split('\n').filter(item => !!item).map(item => JSON.parse(item));
+    return output;
+}
+
+describe('createLogger()', () => {
+
+    const logAll = logger => ['debug', 'info', 'warn', 'error'].forEach(item => logger[item](`${item} message`, { event: `test.${item}` }));
+
+    it('drops the records below the log level', () => {
+        const logStream = createOutput();
+        logAll(createLogger({ logLevel: 'warn', logFormat: 'ndjson', logStream }));
+
+        assert.deepEqual(logStream.records().map(item => item.level), ['warn', 'error']);
+    });
+
+    it('only writes warnings and errors if quiet', () => {
+        const logStream = createOutput();
+        logAll(createLogger({ logLevel: 'debug', quiet: true, logFormat: 'ndjson', logStream }));
+
+        assert.deepEqual(logStream.records().map(item => item.level), ['warn', 'error']);
+    });
+
+    it('writes NDJSON records with the context and the fields', () => {
+        const logStream = createOutput();
+        const context = { themeName: 'test' };
+        const logger = createLogger({ logFormat: 'ndjson', logStream, context });
+
+        context.envName = 'DEV';
+        logger.info('Uploaded', { event: 'upload.done', count: 2 });
+
+        const [record] = logStream.records();
+        assert.ok(!isNaN(Date.parse(record.time)));
+        assert.deepEqual({ ...record, time: undefined }, { time: undefined, level: 'info', message: 'Uploaded', themeName: 'test', envName: 'DEV', event: 'upload.done', count: 2 });
+    });
+
+    it('writes text records', () => {
+        const logStream = createOutput();
+        const logger = createLogger({ logStream });
+
+        logger.info('Uploaded', { event: 'upload.done' });
+        logger.error('Failed', { event: 'upload.failed' });
+
+        assert.match(logStream.text, /Uploaded[^\n]*\n[^\n]*Failed[^\n]*\n$/);
+        assert.ok(!logStream.text.includes('upload.done'));
+    });
+
+    it('passes the records on to a custom logger', () => {
+        const records = [];
+        const logger = createLogger({ logger: { debug() {}, info: (message, fields) => records.push({ message, ...fields }), warn() {}, error() {} }, context: { themeName: 'test' } });
+
+        logger.info('Uploaded', { event: 'upload.done' });
+
+        assert.deepEqual(records, [{ message: 'Uploaded', themeName: 'test', event: 'upload.done' }]);
+    });
+
+    it('redacts the secrets added later on', () => {
+        const logStream = createOutput();
+        const secrets = [];
+        const logger = createLogger({ logFormat: 'ndjson', logStream, secrets });
+
+        secrets.push('s3cret');
+        logger.error('Sent s3cret', { header: 'Basic s3cret' });
+
+        assert.ok(!logStream.text.includes('s3cret'));
+        assert.deepEqual(logStream.records().map(item => `${item.message} ${item.header}`), ['Sent ******** Basic ********']);
+    });
+
+    it('rejects invalid options', () => {
+        assert.throws(() => createLogger({ logLevel: 'verbose' }), /logLevel/);
+        assert.throws(() => createLogger({ logFormat: 'json' }), /logFormat/);
+        assert.throws(() => createLogger({ logger: { info() {} } }), /logger/);
+    });
+});
+
+describe('logging of a theme', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}' });
+    });
+
+    // runs the function and resolves with everything written to stdout and stderr meanwhile
+    async function captureConsole(fn) {
+        const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+        let output = '';
+        process.stdout.write = process.stderr.write = chunk => {
+            output += chunk;
+            return true;
+        };
+        try {
+            await fn();
+        } finally {
+            process.stdout.write = writes.stdout;
+            process.stderr.write = writes.stderr;
+        }
+        return output;
+    }
+
+    it("doesn't write anything with logLevel silent", async () => {
+        const output = await captureConsole(async () => {
+            const theme = await createTheme('test', { logLevel: 'silent' });
+            await theme.upload({ glob: 'build/**', sourcePath: 'build', targetPath: '' }, true);
+            await theme.upload({ glob: 'missing/**', sourcePath: 'missing', targetPath: '' }, true);
+        });
+
+        assert.equal(output, '');
+    });
+
+    it('writes the events of an upload as NDJSON', async () => {
+        const logStream = createOutput();
+        const theme = await createTheme('test', { logLevel: 'debug', logFormat: 'ndjson', logStream });
+        await theme.upload({ glob: 'build/**', sourcePath: 'build', targetPath: '' }, true);
+
+        const records = logStream.records();
+        assert.ok(records.every(item => item.themeName == 'test' && !!item.event));
+        assert.ok(records.filter(item => item.event.startsWith('upload.')).every(item => item.envName == 'MOCK'));
+        assert.ok(records.some(item => item.event == 'upload.done'));
+    });
+});
@@ -0,0 +1,158 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const ViewportTheme = require('..');
+const { AuthenticationError, ConfigError, UploadError } = ViewportTheme;
+const { createProject } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('credentials', () => {
+    const password = 's3cret-password';
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ password, spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        createProject({ 'build/main.css': 'body {}' });
+    });
+
+    afterEach(() => {
+        delete process.env.TEST_VPRT_PASSWORD;
+    });
+
+    // the target environment of the mock in ~/.vpconfig.json, with the password from another source
+    const writeVpconfig = source => {
+        const { password: _, ...targetEnv } = mock.targetEnv('DOC');
+        fs.outputJsonSync(path.join(os.homedir(), '.vpconfig.json'), { MOCK: { ...targetEnv, ...source } });
+    };
+
+    const createTheme = async () => {
+        const theme = new ViewportTheme({ themeName: 'test', envName: 'MOCK', logLevel: 'silent' });
+        await theme.create();
+        return theme;
+    };
+
+    it('reads the password from passwordFile', async () => {
+        fs.outputFileSync('password.txt', password + '\n');
+        writeVpconfig({ passwordFile: path.resolve('password.txt') });
+
+        await createTheme();
+        assert.ok(mock.findTheme('test', 'DOC'));
+    });
+
+    it('reads the password from passwordCommand', async () => {
+        writeVpconfig({ passwordCommand: `echo ${password}` });
+
+        await createTheme();
+        assert.ok(mock.findTheme('test', 'DOC'));
+    });
+
+    it('reads the password from passwordEnv', async () => {
+        process.env.TEST_VPRT_PASSWORD = password;
+        writeVpconfig({ passwordEnv: 'TEST_VPRT_PASSWORD' });
+
+        await createTheme();
+        assert.ok(mock.findTheme('test', 'DOC'));
+    });
+
+    it("fails with a ConfigError if the password can't be read", () => {
+        writeVpconfig({ passwordFile: 'missing.txt' });
+        assert.throws(() => new ViewportTheme({ themeName: 'test', envName: 'MOCK', logLevel: 'silent' }), err => err instanceof ConfigError && /missing\.txt.*ENOENT/.test(err.message));
+
+        writeVpconfig({ passwordCommand: 'exit 3' });
+        assert.throws(() => new ViewportTheme({ themeName: 'test', envName: 'MOCK', logLevel: 'silent' }), err => err instanceof ConfigError && /exit code 3/.test(err.message));
+
+        writeVpconfig({ passwordEnv: 'TEST_VPRT_PASSWORD' });
+        assert.throws(() => new ViewportTheme({ themeName: 'test', envName: 'MOCK', logLevel: 'silent' }), err => err instanceof ConfigError && /TEST_VPRT_PASSWORD/.test(err.message));
+    });
+
+    it('fails with a ConfigError if the password is provided in several ways', () => {
+        writeVpconfig({ password, passwordEnv: 'TEST_VPRT_PASSWORD' });
+
+        assert.throws(() => new ViewportTheme({ themeName: 'test', envName: 'MOCK', logLevel: 'silent' }), ConfigError);
+    });
+
+    it('redacts the password in errors and the log', async () => {
+        Object.assign(process.env, mock.env('DOC'));
+        let output = '';
+        const logStream = new stream.Writable({
+            write(chunk, encoding, callback) {
+                output += chunk;
+                callback();
+            },
+        });
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'debug', logFormat: 'ndjson', logStream });
+        await theme.create();
+
+        // a server that echoes the credentials in its response
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme', body: `Invalid request of admin:${password}` });
+
+        const err = await theme.upload({ glob: 'build/**', sourcePath: 'build', targetPath: '', retries: 0 }).catch(item => item);
+
+        // the logger of the theme redacts records that contain the password in other ways, e.g. the message of an error of a custom fetch
+        theme.logger.error(`Upload failed: ${err.message} (admin:${password})`, { event: 'test.failed', error: `admin:${password}` });
+
+        assert.ok(err instanceof UploadError);
+        assert.ok(!JSON.stringify({ message: err.message, body: err.body, failed: err.failed }).includes(password));
+        assert.match(err.body, /admin:\*{8}/);
+        assert.ok(output.length && !output.includes(password));
+        assert.match(output, /admin:\*{8}/);
+    });
+});
+
+describe('token authentication', () => {
+    const token = 'tok3n-secret';
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ token, spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({});
+    });
+
+    it('authenticates with the token', async () => {
+        assert.equal(process.env.VPRT_USERNAME, undefined);
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+        await theme.create();
+
+        assert.ok(mock.findTheme('test', 'DOC'));
+    });
+
+    it('fails with an AuthenticationError if the token is wrong', async () => {
+        process.env.VPRT_TOKEN = 'wrong-token';
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        await assert.rejects(theme.create(), err => err instanceof AuthenticationError && /token/.test(err.hint));
+    });
+
+    it('redacts the token in errors', async () => {
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+        mock.fail({ status: 500, path: '/rest/scroll-viewport/1.0/theme', body: `Bearer ${token} rejected`, times: 10 });
+
+        const err = await theme.create().catch(item => item);
+
+        assert.equal(err.status, 500);
+        assert.equal(err.body, 'Bearer ******** rejected');
+    });
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const ViewportTheme = require('..');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('deploy()', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'v1/main.css': 'body {}', 'v1/page.vm': '<p>v1</p>', 'v2/main.css': 'body { color: red; }' });
+    });
+
+    it('replaces all resources of the theme', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'v1/**', sourcePath: 'v1', targetPath: '' });
+
+        await theme.deploy({ glob: 'v2/**', sourcePath: 'v2', targetPath: '' });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body { color: red; }' });
+    });
+
+    it('restores the snapshot if a transactional deploy fails', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'v1/**', sourcePath: 'v1', targetPath: '' });
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        const err = await theme.deploy({ glob: 'v2/**', sourcePath: 'v2', targetPath: '', transactional: true, retries: 0 }).then(() => undefined, item => item);
+
+        assert.ok(err.snapshotId);
+        assert.equal(err.rollbackError, undefined);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}', 'page.vm': '<p>v1</p>' });
+        assert.deepEqual(await theme.listSnapshots(), [err.snapshotId]);
+    });
+
+    it('removes the snapshot once a transactional deploy succeeded', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'v1/**', sourcePath: 'v1', targetPath: '' });
+        const snapshotId = await theme.snapshot();
+
+        await theme.deploy({ glob: 'v2/**', sourcePath: 'v2', targetPath: '', transactional: true });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body { color: red; }' });
+        assert.deepEqual(await theme.listSnapshots(), [snapshotId]);
+    });
+});
+
+describe('snapshot() and rollback()', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'v1/css/main.css': 'body {}', 'v2/main.css': 'body { color: red; }' });
+    });
+
+    it('restores the resources of a snapshot', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'v1/**', sourcePath: 'v1', targetPath: '' });
+
+        const snapshotId = await theme.snapshot();
+        await theme.deploy({ glob: 'v2/**', sourcePath: 'v2', targetPath: '' });
+
+        assert.deepEqual(await theme.listSnapshots(), [snapshotId]);
+
+        await theme.rollback(snapshotId);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'css/main.css': 'body {}' });
+    });
+
+    it('rejects an unknown snapshot', async () => {
+        const theme = await createTheme('test');
+        await assert.rejects(theme.rollback('missing'), /snapshot 'missing' doesn't exist/);
+    });
+});
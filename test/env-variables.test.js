@@ -0,0 +1,87 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ViewportTheme = require('..');
+const { ConfigError } = ViewportTheme;
+const { createProject } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('environmental variables', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC', 'OTHER'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        createProject({});
+        fs.outputJsonSync(path.join(os.homedir(), '.vpconfig.json'), {
+            DEV: { ...mock.targetEnv('DOC'), envName: 'DEV', password: 'config-password' },
+            PROD: { ...mock.targetEnv('OTHER'), envName: 'PROD' },
+        });
+    });
+
+    // a logger that records the events of the theme
+    const createRecorder = () => {
+        const records = [];
+        const record = level => (message, fields) => records.push({ level, message, ...fields });
+        return { records, logger: { debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') } };
+    };
+
+    it('override single properties of the target environment of the config', async () => {
+        process.env.VPRT_ENV = 'DEV';
+        process.env.VPRT_PASSWORD = mock.targetEnv().password;
+        process.env.VPRT_SPACEKEY = 'OTHER';
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        assert.equal(theme.envName, 'DEV');
+        assert.equal(theme.confluenceBaseUrl, mock.url);
+        assert.equal(theme.spaceKey, 'OTHER');
+        assert.equal(theme.targetEnvSources.confluenceBaseUrl, '~/.vpconfig.json');
+        assert.equal(theme.targetEnvSources.password, 'VPRT_PASSWORD');
+        assert.equal(theme.targetEnvSources.spaceKey, 'VPRT_SPACEKEY');
+
+        // the password of the config would be rejected
+        await theme.create();
+        assert.ok(mock.findTheme('test', 'OTHER'));
+    });
+
+    it('must define a complete target environment without a config', () => {
+        fs.removeSync(path.join(os.homedir(), '.vpconfig.json'));
+        process.env.VPRT_ENV = 'CI';
+        process.env.VPRT_CONFLUENCEBASEURL = mock.url;
+
+        assert.throws(() => new ViewportTheme({ themeName: 'test', logLevel: 'silent' }), err => err instanceof ConfigError && /VPRT_ENV, VPRT_CONFLUENCEBASEURL/.test(err.message));
+    });
+
+    it('VPRT_ENV is overridden by an envName with a warning', () => {
+        process.env.VPRT_ENV = 'DEV';
+        const { records, logger } = createRecorder();
+
+        const theme = new ViewportTheme({ themeName: 'test', envName: 'PROD', logger });
+
+        assert.equal(theme.envName, 'PROD');
+        assert.equal(theme.spaceKey, 'OTHER');
+        assert.deepEqual(records.filter(item => item.level == 'warn').map(item => item.event), ['env.ignored']);
+    });
+
+    it("VPRT_ENV doesn't warn if it selects the same target environment as envName", () => {
+        process.env.VPRT_ENV = 'PROD';
+        const { records, logger } = createRecorder();
+
+        new ViewportTheme({ themeName: 'test', envName: 'PROD', logger });
+
+        assert.deepEqual(records.filter(item => item.level == 'warn'), []);
+    });
+});
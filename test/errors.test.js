@@ -0,0 +1,105 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const PluginError = require('plugin-error');
+
+const ViewportTheme = require('..');
+const { ViewportError, AuthenticationError, PermissionError, ThemeNotFoundError, UploadError, NetworkError, ConfigError, ValidationError } = ViewportTheme;
+const { createProject, createTheme } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('errors', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC', 'SECRET'], forbiddenSpaceKeys: ['SECRET'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    it('are ViewportErrors and PluginErrors', () => {
+        [AuthenticationError, PermissionError, ThemeNotFoundError, UploadError, NetworkError, ConfigError, ValidationError].forEach(ErrorClass => {
+            const err = new ErrorClass('Failed.', { status: 500, hint: 'Retry.' });
+
+            assert.ok(err instanceof ViewportError);
+            assert.ok(err instanceof PluginError);
+            assert.equal(err.name, ErrorClass.name);
+            assert.equal(err.status, 500);
+            assert.equal(err.hint, 'Retry.');
+        });
+    });
+
+    it('AuthenticationError if the credentials are wrong', async () => {
+        process.env.VPRT_PASSWORD = 'wrong';
+        const err = await createTheme('test').then(() => undefined, item => item);
+
+        assert.ok(err instanceof AuthenticationError);
+        assert.equal(err.status, 401);
+        assert.ok(!err.message.includes('wrong'));
+    });
+
+    it('PermissionError if the user lacks permissions in the space', async () => {
+        Object.assign(process.env, mock.env('SECRET'));
+        await assert.rejects(createTheme('test'), PermissionError);
+    });
+
+    it("ThemeNotFoundError if the theme doesn't exist", async () => {
+        const theme = new ViewportTheme({ themeName: 'missing', logLevel: 'silent' });
+        await assert.rejects(theme.upload(options), ThemeNotFoundError);
+    });
+
+    it('UploadError if Scroll Viewport rejects the upload', async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        const err = await theme.upload(options).then(() => undefined, item => item);
+        assert.ok(err instanceof UploadError);
+        assert.equal(err.status, 400);
+    });
+
+    it("NetworkError if Confluence can't be reached", async () => {
+        const otherMock = await ViewportTheme.createMockServer();
+        await otherMock.close();
+        Object.assign(process.env, otherMock.env());
+
+        await assert.rejects(createTheme('test'), NetworkError);
+    });
+
+    it('NetworkError if the lookup of the theme fails, without creating the theme', async () => {
+        mock.fail({ status: 503, method: 'GET', path: '/rest/scroll-viewport/1.0/theme', body: 'Service Unavailable' });
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        const err = await theme.create().then(() => undefined, item => item);
+
+        assert.ok(err instanceof NetworkError);
+        assert.equal(err.status, 503);
+        assert.equal(err.body, 'Service Unavailable');
+        assert.ok(!mock.requests.some(item => item.method == 'POST'));
+        assert.equal(await theme.exists(), false);
+    });
+
+    it('ConfigError if there is no target environment', () => {
+        delete process.env.VPRT_ENV;
+        assert.throws(() => new ViewportTheme({ themeName: 'test', logLevel: 'silent' }), ConfigError);
+    });
+
+    it('ValidationError if a resource is invalid', async () => {
+        const theme = await createTheme('test');
+        createProject({ 'build/page.vm': '#if($title)<p>$title</p>' });
+
+        const err = await theme.upload(options).then(() => undefined, item => item);
+        assert.ok(err instanceof ValidationError);
+        assert.deepEqual(err.problems.map(item => item.rule), ['velocity']);
+    });
+});
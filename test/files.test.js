@@ -0,0 +1,116 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const { isGlobList, createMatcher } = require('../lib/files');
+const { resolveValidation, validateResources, checkVelocity } = require('../lib/validation');
+
+// ----------------- Tests ----------------- //
+
+describe('isGlobList()', () => {
+
+    it('accepts a pattern or a list of patterns', () => {
+        assert.equal(isGlobList('build/**'), true);
+        assert.equal(isGlobList(['build/**', '!build/*.map']), true);
+        assert.equal(isGlobList([]), true);
+    });
+
+    it('rejects other values', () => {
+        assert.equal(isGlobList(undefined), false);
+        assert.equal(isGlobList(['build/**', 1]), false);
+        assert.equal(isGlobList({ glob: 'build/**' }), false);
+    });
+});
+
+describe('createMatcher()', () => {
+
+    it('matches a pattern or a list of patterns', () => {
+        assert.equal(createMatcher('**/*.map')('js/main.js.map'), true);
+        assert.equal(createMatcher(['vendor/**', '**/*.map'])('vendor/.hidden'), true);
+        assert.equal(createMatcher(['vendor/**'])('js/main.js'), false);
+    });
+
+    it('matches nothing without patterns', () => {
+        assert.equal(createMatcher([])('js/main.js'), false);
+    });
+});
+
+describe('validation', () => {
+
+    it('accepts a single pattern like the ignore option of upload()', async () => {
+        const validation = resolveValidation({ ignore: 'vendor/**', required: 'page.vm' });
+        const problems = await validateResources([{ path: 'vendor/page.vm', contents: Buffer.from('#if(true)') }], ['vendor/page.vm'], validation, { complete: true });
+
+        assert.deepEqual(problems.map(item => `${item.rule} ${item.file}`), ['required page.vm']);
+    });
+
+    // validates in-memory files by their target path
+    const validate = (files, settings, options) => validateResources(Object.keys(files).map(item => ({ path: item, contents: Buffer.from(files[item]) })), Object.keys(files), resolveValidation(settings), options);
+
+    it('reports files larger than maxSize at the level of the rule', async () => {
+        const files = { 'img/large.png': 'x'.repeat(11), 'img/small.png': 'x'.repeat(10) };
+
+        assert.deepEqual((await validate(files, { maxSize: 10 })).map(item => `${item.rule} ${item.level} ${item.file}`), ['size error img/large.png']);
+        assert.deepEqual((await validate(files, { maxSize: 10, rules: { size: 'warn' } })).map(item => item.level), ['warn']);
+        assert.deepEqual(await validate(files, { maxSize: 10, rules: { size: 'off' } }), []);
+    });
+
+    it('accepts files up to 10 MB by default', async () => {
+        assert.deepEqual(await validate({ 'img/logo.png': 'x'.repeat(1024) }), []);
+        assert.equal(resolveValidation().maxSize, 10 * 1024 * 1024);
+    });
+
+    it('checks the Velocity syntax of .vm templates only', async () => {
+        const problems = await validate({ 'page.vm': '#if($title)', 'main.js': '#if($title)' });
+
+        assert.deepEqual(problems.map(item => `${item.rule} ${item.file} ${item.message}`), ['velocity page.vm Line 1: #if is never closed with #end.']);
+    });
+
+    it("doesn't require any resources unless configured", async () => {
+        assert.deepEqual(await validate({ 'main.css': 'body {}' }, undefined, { complete: true }), []);
+        assert.deepEqual((await validate({ 'main.css': 'body {}' }, { required: ['page.vm'] }, { complete: true })).map(item => `${item.rule} ${item.file}`), ['required page.vm']);
+        assert.deepEqual(await validate({ 'main.css': 'body {}' }, { required: ['page.vm'] }), []);
+    });
+});
+
+describe('checkVelocity()', () => {
+
+    it('accepts balanced directives', () => {
+        const template = [
+            '#macro(link $url)<a href="$url">$url</a>#end',
+            '#foreach($page in $pages)',
+            '  #if($page.title)$page.title#elseif($page.id)$page.id#{else}untitled#end',
+            '#end',
+            '#define($footer)<footer></footer>#end',
+            '#@wrapper()content#end',
+        ].join('\n');
+
+        assert.deepEqual(checkVelocity(template), []);
+    });
+
+    it('reports directives that are never closed with the line they start', () => {
+        assert.deepEqual(checkVelocity('<p>\n#foreach($page in $pages)\n#if($page.title)\n#end'), ['Line 2: #foreach is never closed with #end.']);
+        assert.deepEqual(checkVelocity('#@wrapper()content'), ['Line 1: #@wrapper is never closed with #end.']);
+    });
+
+    it('reports a superfluous #end and branches outside of #if', () => {
+        assert.deepEqual(checkVelocity('#if($a)#end\n#end'), ['Line 2: #end without an open directive.']);
+        assert.deepEqual(checkVelocity('#foreach($a in $b)#else#end'), ['Line 1: #else outside of #if.']);
+    });
+
+    it('ignores escaped directives, comments and unparsed content', () => {
+        const template = [
+            '\\#if not a directive',
+            '## #if($a)',
+            '#* #foreach($a in $b)',
+            '#end *#',
+            '#[[ #if($a) ]]#',
+            '#if($a)#end',
+        ].join('\n');
+
+        assert.deepEqual(checkVelocity(template), []);
+        assert.deepEqual(checkVelocity('#* #if($a)\n*#\n#end'), ['Line 3: #end without an open directive.']);
+    });
+});
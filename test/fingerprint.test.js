@@ -0,0 +1,89 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const { fingerprintAssets } = require('../lib/fingerprint');
+
+// ----------------- Tests ----------------- //
+
+describe('fingerprintAssets()', () => {
+
+    // fingerprints in-memory resources and resolves with the renamed paths and the contents of the resources by their original path
+    async function fingerprint(files) {
+        const { sources, targetPaths } = await fingerprintAssets(Object.keys(files).map(item => ({ path: item, contents: Buffer.from(files[item]) })), Object.keys(files));
+
+        return Object.keys(files).reduce((acc, item, i) => {
+            acc.paths[item] = targetPaths[i];
+            acc.contents[item] = sources[i].contents.toString('utf8');
+            return acc;
+        }, { paths: {}, contents: {} });
+    }
+
+    // fingerprints a template next to the assets 'css/main.css' and 'img/logo.png'
+    async function fingerprintTemplate(template, templatePath = 'page.vm') {
+        const { paths, contents } = await fingerprint({ 'css/main.css': 'body {}', 'img/logo.png': 'png', [templatePath]: template });
+        return { cssPath: paths['css/main.css'], logoPath: paths['img/logo.png'], template: contents[templatePath] };
+    }
+
+    it('rewrites the references of templates that start with a variable', async () => {
+        const { cssPath, template } = await fingerprintTemplate('<link href="$theme.baseUrl/css/main.css"><link href="${theme.baseUrl}/css/main.css">');
+
+        assert.match(cssPath, /^css\/main\.[0-9a-f]{8}\.css$/);
+        assert.equal(template, `<link href="$theme.baseUrl/${cssPath}"><link href="\${theme.baseUrl}/${cssPath}">`);
+    });
+
+    it('rewrites the references of templates relative to the template', async () => {
+        const { logoPath, template } = await fingerprintTemplate('<img src="../img/logo.png"><img src=\'img/logo.png\'>', 'templates/page.vm');
+
+        assert.equal(template, `<img src="../${logoPath}"><img src='${logoPath}'>`);
+    });
+
+    it("doesn't rewrite absolute and protocol-relative URLs", async () => {
+        const links = [
+            '<link href="https://cdn.example.com/css/main.css">',
+            '<link href="//cdn.example.com/css/main.css">',
+            '<link href="http://cdn.example.com:8080/css/main.css">',
+        ].join('\n');
+        const { template } = await fingerprintTemplate(links);
+
+        assert.equal(template, links);
+    });
+
+    it("doesn't rewrite paths relative to the root of Confluence", async () => {
+        const image = '<img src="/s/1/_/download/resources/com.k15t.scroll/img/logo.png">';
+        const { template } = await fingerprintTemplate(image);
+
+        assert.equal(template, image);
+    });
+
+    it("doesn't rewrite paths that only end like an asset", async () => {
+        const images = '<img src="vendor/img/logo.png"><img src="$theme.baseUrl/vendor/img/logo.png">';
+        const { template } = await fingerprintTemplate(images);
+
+        assert.equal(template, images);
+    });
+
+    it('rewrites url() and @import in CSS relative to the CSS file', async () => {
+        const { paths, contents } = await fingerprint({
+            'img/logo.png': 'png',
+            'css/base.css': 'body {}',
+            'css/main.css': '@import "base.css";\nh1 { background: url(../img/logo.png); }\nh2 { background: url(\'https://cdn.example.com/img/logo.png\'); }\nh3 { background: url(/img/logo.png); }',
+        });
+
+        assert.equal(contents['css/main.css'], [
+            `@import "${paths['css/base.css'].slice('css/'.length)}";`,
+            `h1 { background: url(../${paths['img/logo.png']}); }`,
+            `h2 { background: url('https://cdn.example.com/img/logo.png'); }`,
+            `h3 { background: url(/img/logo.png); }`,
+        ].join('\n'));
+    });
+
+    it('renames a CSS file after the assets it refers to', async () => {
+        const first = await fingerprint({ 'img/logo.png': 'png', 'css/main.css': 'h1 { background: url(../img/logo.png); }' });
+        const second = await fingerprint({ 'img/logo.png': 'other png', 'css/main.css': 'h1 { background: url(../img/logo.png); }' });
+
+        assert.notEqual(first.paths['css/main.css'], second.paths['css/main.css']);
+    });
+});
@@ -0,0 +1,61 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+
+const ViewportTheme = require('..');
+const { MANIFEST_RESOURCE } = require('../lib/manifest');
+
+// ----------------- Configuration ----------------- //
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'viewport-uploader.js');
+
+// ----------------- Exports ----------------- //
+
+exports.createProject = createProject;
+exports.createTheme = createTheme;
+exports.readResources = readResources;
+exports.runCli = runCli;
+
+// creates a directory with the files, e.g. { 'build/main.css': 'body {}' }, and makes it the CWD, such that globs are taken relative to it
+// the directory is inside the home directory of the tests, so the search for a project config stops there
+function createProject(files = {}) {
+    const projectDir = fs.mkdtempSync(path.join(os.homedir(), 'project-'));
+
+    Object.keys(files).forEach(item => {
+        fs.outputFileSync(path.join(projectDir, item), files[item]);
+    });
+
+    process.chdir(projectDir);
+    return projectDir;
+}
+
+// creates the theme in the target environment of the environmental variables, log records are dropped unless options say otherwise
+async function createTheme(themeName, options = {}) {
+    const theme = new ViewportTheme({ themeName, logLevel: 'silent', ...options });
+    await theme.create();
+    return theme;
+}
+
+// the contents of the resources of a theme of the mock server as strings by path, without the manifest
+function readResources(mock, themeName, spaceKey) {
+    const theme = mock.findTheme(themeName, spaceKey);
+    return Array.from(theme.resources.keys()).filter(item => item != MANIFEST_RESOURCE).sort().reduce((acc, item) => {
+        acc[item] = theme.resources.get(item).toString();
+        return acc;
+    }, {});
+}
+
+// runs the CLI with the environmental variables of the tests in the CWD, resolves with its exit code and output
+// Note: asynchronous since the mock server runs in the process of the tests
+function runCli(args) {
+    return new Promise(resolve => {
+        childProcess.execFile(process.execPath, [CLI_PATH, ...args], { encoding: 'utf8', env: process.env }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
@@ -0,0 +1,87 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const path = require('path');
+const stream = require('stream');
+
+const ViewportTheme = require('..');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('in-memory files', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({});
+    });
+
+    // a Vinyl file like gulp's src() emits, with an absolute path
+    const createVinyl = (filePath, contents, directory = false) => ({ path: path.resolve(filePath), contents, isDirectory: () => directory });
+
+    it('uploads buffers and streams', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({
+            files: [
+                { path: 'build/main.css', contents: Buffer.from('body {}') },
+                { path: 'build/js/main.js', contents: stream.Readable.from(['main', '();']) },
+            ],
+            sourcePath: 'build/',
+            targetPath: 'assets',
+        });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'assets/js/main.js': 'main();', 'assets/main.css': 'body {}' });
+    });
+
+    it('applies the ignore patterns', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({
+            files: [{ path: 'build/main.css', contents: Buffer.from('body {}') }, { path: 'build/main.css.map', contents: Buffer.from('{}') }],
+            sourcePath: 'build/',
+            targetPath: '',
+            ignore: '**/*.map',
+        });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}' });
+    });
+
+    it('uploads the Vinyl files written to createUploadStream()', async () => {
+        const theme = await createTheme('test');
+        const files = [createVinyl('build/css', null, true), createVinyl('build/css/main.css', Buffer.from('body {}')), createVinyl('build/page.vm', Buffer.from('page'))];
+
+        await new Promise((resolve, reject) => stream.Readable.from(files)
+            .pipe(theme.createUploadStream({ sourcePath: 'build/', targetPath: '' }))
+            .on('finish', resolve)
+            .on('error', reject));
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'css/main.css': 'body {}', 'page.vm': 'page' });
+    });
+
+    it('uploads every batch of createUploadStream() once it is complete', async () => {
+        const theme = await createTheme('test');
+        const uploadStream = theme.createUploadStream({ sourcePath: 'build/', targetPath: '', batchSize: 1 });
+
+        await new Promise((resolve, reject) => uploadStream.write(createVinyl('build/main.css', Buffer.from('body {}')), err => err ? reject(err) : resolve()));
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}' });
+
+        await new Promise((resolve, reject) => uploadStream.end(createVinyl('build/page.vm', Buffer.from('page')), err => err ? reject(err) : resolve()));
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}', 'page.vm': 'page' });
+    });
+
+    it('rejects the options of createUploadStream() it does not support', async () => {
+        const theme = await createTheme('test');
+
+        assert.throws(() => theme.createUploadStream({ sourcePath: 'build/', targetPath: '', dryRun: true }), /createUploadStream/);
+        assert.throws(() => theme.createUploadStream({ sourcePath: 'build/', targetPath: '', fingerprint: true }), /createUploadStream/);
+    });
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const ViewportTheme = require('..');
+const { ThemeNotFoundError } = ViewportTheme;
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('theme lifecycle', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC', 'OTHER'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}', 'build/page.vm': 'page' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    describe('list()', () => {
+
+        it('lists the themes of the space of the target environment', async () => {
+            await createTheme('first');
+            await createTheme('second');
+            await createTheme('global', { spaceKey: '' });
+
+            const themes = await ViewportTheme.list(undefined, undefined, { logLevel: 'silent' });
+
+            assert.deepEqual(themes.map(item => `${item.themeName} ${item.spaceKey}`).sort(), ['first DOC', 'second DOC']);
+            assert.ok(themes.every(item => !!item.themeId));
+        });
+
+        it('lists the themes of another scope', async () => {
+            await createTheme('first');
+            await createTheme('global', { spaceKey: '' });
+
+            const themes = await ViewportTheme.list(undefined, '', { logLevel: 'silent' });
+
+            assert.deepEqual(themes.map(item => item.themeName), ['global']);
+        });
+    });
+
+    describe('delete()', () => {
+
+        it('deletes the theme', async () => {
+            const theme = await createTheme('test');
+            await theme.upload(options);
+
+            await theme.delete();
+
+            assert.equal(mock.findTheme('test', 'DOC'), undefined);
+            assert.equal(await theme.exists(), false);
+        });
+
+        it("fails with a ThemeNotFoundError if the theme doesn't exist", async () => {
+            const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+            await assert.rejects(theme.delete(), ThemeNotFoundError);
+        });
+
+        it('only plans the delete with dryRun', async () => {
+            const theme = await createTheme('test');
+            const plan = await theme.delete({ dryRun: true });
+
+            assert.equal(plan.operation, 'delete');
+            assert.ok(mock.findTheme('test', 'DOC'));
+        });
+    });
+
+    describe('rename()', () => {
+
+        it('renames the theme and keeps its resources', async () => {
+            const theme = await createTheme('test');
+            await theme.upload(options);
+
+            await theme.rename('renamed');
+
+            assert.equal(theme.themeName, 'renamed');
+            assert.equal(mock.findTheme('test', 'DOC'), undefined);
+            assert.deepEqual(readResources(mock, 'renamed', 'DOC'), { 'main.css': 'body {}', 'page.vm': 'page' });
+        });
+
+        it('refuses to rename the theme onto an existing one', async () => {
+            const theme = await createTheme('test');
+            await theme.upload(options);
+            await createTheme('existing');
+
+            await assert.rejects(theme.rename('existing'), /already exists/);
+
+            assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}', 'page.vm': 'page' });
+            assert.deepEqual(readResources(mock, 'existing', 'DOC'), {});
+        });
+
+        it("fails with a ThemeNotFoundError if the theme doesn't exist", async () => {
+            const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+            await assert.rejects(theme.rename('renamed'), ThemeNotFoundError);
+        });
+    });
+
+    describe('cloneTo()', () => {
+
+        it('copies the resources into a theme of another space', async () => {
+            const theme = await createTheme('test');
+            await theme.upload(options);
+
+            const copy = await theme.cloneTo({ spaceKey: 'OTHER' });
+
+            assert.equal(copy.spaceKey, 'OTHER');
+            assert.deepEqual(readResources(mock, 'test', 'OTHER'), { 'main.css': 'body {}', 'page.vm': 'page' });
+            assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}', 'page.vm': 'page' });
+        });
+
+        it('refuses to overwrite an existing theme unless overwrite is set', async () => {
+            const theme = await createTheme('test');
+            await theme.upload(options);
+            const existing = await createTheme('copy');
+            await existing.upload({ ...options, glob: 'build/page.vm' });
+
+            await assert.rejects(theme.cloneTo({ themeName: 'copy' }), /already exists/);
+            assert.deepEqual(readResources(mock, 'copy', 'DOC'), { 'page.vm': 'page' });
+
+            await theme.cloneTo({ themeName: 'copy', overwrite: true });
+            assert.deepEqual(readResources(mock, 'copy', 'DOC'), { 'main.css': 'body {}', 'page.vm': 'page' });
+        });
+
+        it('refuses to clone the theme to itself', async () => {
+            const theme = await createTheme('test');
+
+            await assert.rejects(theme.cloneTo(), /to itself/);
+        });
+    });
+});
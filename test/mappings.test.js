@@ -0,0 +1,99 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const ViewportTheme = require('..');
+const { ConfigError } = ViewportTheme;
+const { TARGET_PATH, normalizeTargetPath, mapPath } = require('../lib/mappings');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('target paths', () => {
+
+    it('accepts dots in segments and normalizes slashes', () => {
+        assert.ok(TARGET_PATH.test('assets/v1.2/'));
+        assert.ok(TARGET_PATH.test('/assets//v1.2'));
+        assert.ok(!TARGET_PATH.test('assets/../js'));
+        assert.ok(!TARGET_PATH.test('./assets'));
+        assert.equal(normalizeTargetPath('/assets//v1.2/'), 'assets/v1.2');
+        assert.equal(normalizeTargetPath('/'), '');
+    });
+
+    it('maps and renames the path of a file', () => {
+        assert.equal(mapPath({ sourcePath: 'dist/js/', targetPath: '/js/' }, 'dist/js/main.js'), 'js/main.js');
+        assert.equal(mapPath({ sourcePath: 'dist/js', targetPath: '', rename: item => item.replace(/\.js$/, '.min.js') }, 'dist/js/main.js'), 'main.min.js');
+        assert.throws(() => mapPath({ sourcePath: 'dist/css', targetPath: '' }, 'dist/js/main.js'), ConfigError);
+        assert.throws(() => mapPath({ sourcePath: 'dist', targetPath: '', rename: () => '../main.js' }, 'dist/main.js'), ConfigError);
+    });
+});
+
+describe('mappings', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({
+            'dist/css/main.css': 'body {}',
+            'dist/js/main.js': 'main();',
+            'templates/page.vm': 'page',
+            'templates/drafts/draft.vm': 'draft',
+        });
+    });
+
+    it('uploads every mapping to its target path', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({
+            mappings: [
+                { glob: 'dist/css/**', sourcePath: 'dist/css/', targetPath: 'assets/v1.2/' },
+                { glob: 'templates/**/*.vm', sourcePath: 'templates/', targetPath: '', ignore: ['**/drafts/**'] },
+                { glob: 'dist/js/*.js', sourcePath: 'dist/js/', targetPath: '/js', rename: item => item.replace(/\.js$/, '.min.js') },
+            ],
+        });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'assets/v1.2/main.css': 'body {}', 'js/main.min.js': 'main();', 'page.vm': 'page' });
+    });
+
+    it('fails without uploading anything if two files are mapped to the same resource', async () => {
+        const theme = await createTheme('test');
+        const requestCount = mock.requests.length;
+
+        await assert.rejects(theme.upload({
+            mappings: [
+                { glob: 'dist/css/**', sourcePath: 'dist/css/', targetPath: 'assets' },
+                { glob: 'dist/js/**', sourcePath: 'dist/js/', targetPath: 'assets', rename: () => 'main.css' },
+            ],
+        }), err => err instanceof ConfigError && /dist\/css\/main\.css/.test(err.message) && /dist\/js\/main\.js/.test(err.message));
+
+        assert.equal(mock.requests.slice(requestCount).filter(item => item.method == 'POST').length, 0);
+    });
+
+    it('uploads a file matched by several mappings with the same result once', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({
+            mappings: [
+                { glob: 'dist/**', sourcePath: 'dist/', targetPath: '' },
+                { glob: 'dist/css/**', sourcePath: 'dist/', targetPath: '' },
+            ],
+        });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'css/main.css': 'body {}', 'js/main.js': 'main();' });
+    });
+
+    it('rejects invalid mappings', async () => {
+        const theme = await createTheme('test');
+
+        await assert.rejects(theme.upload({ mappings: [{ glob: 'dist/**', sourcePath: 'dist/', targetPath: '../js' }] }));
+        await assert.rejects(theme.upload({ mappings: [{ glob: 'dist/**', files: [], sourcePath: 'dist/', targetPath: '' }] }));
+        await assert.rejects(theme.upload({ mappings: [] }));
+    });
+});
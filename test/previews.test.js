@@ -0,0 +1,106 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+
+const ViewportTheme = require('..');
+const { ConfigError } = ViewportTheme;
+const { PREVIEW_RESOURCE, createPreviewMarker } = require('../lib/previews');
+const { createProject, createTheme, runCli } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ----------------- Tests ----------------- //
+
+describe('preview themes', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}' });
+    });
+
+    const previewOptions = { themeName: 'test', branch: 'feature/X-1', logLevel: 'silent' };
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    const hasMarker = () => mock.findTheme('test--feature-x-1', 'DOC').resources.has(PREVIEW_RESOURCE);
+
+    it('keeps the marker when the preview is synced again', async () => {
+        await ViewportTheme.deployPreview(previewOptions, options);
+        const { result } = await ViewportTheme.deployPreview(previewOptions, options);
+
+        assert.deepEqual(result.deleted, []);
+        assert.ok(hasMarker());
+    });
+
+    it('keeps the marker in snapshots', async () => {
+        await ViewportTheme.deployPreview(previewOptions, options);
+
+        const theme = await createTheme('test--feature-x-1');
+        const snapshotId = await theme.snapshot();
+        await theme.reset();
+        await theme.rollback(snapshotId);
+
+        assert.ok(hasMarker());
+    });
+
+    it('writes the marker if the deploy fails, such that the preview is collected', async () => {
+        await ViewportTheme.deployPreview(previewOptions, options);
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        await assert.rejects(ViewportTheme.deployPreview({ ...previewOptions, method: 'deploy' }, { ...options, retries: 0 }));
+        assert.ok(hasMarker());
+
+        const { deleted } = await ViewportTheme.collectPreviews({ themeName: 'test', branches: [], logLevel: 'silent' });
+        assert.deepEqual(deleted.map(item => item.themeName), ['test--feature-x-1']);
+    });
+
+    // deploys the preview of a branch and replaces its marker by one of a deploy days ago
+    async function deployPreviewAt(branch, ttl, daysAgo) {
+        const { themeName } = await ViewportTheme.deployPreview({ ...previewOptions, branch, ttl }, options);
+        const marker = createPreviewMarker('test', branch, ttl, Date.now() - daysAgo * DAY);
+        mock.findTheme(themeName, 'DOC').resources.set(PREVIEW_RESOURCE, Buffer.from(JSON.stringify(marker)));
+    }
+
+    it('deletes the previews whose ttl expired', async () => {
+        await deployPreviewAt('expired', 7, 8);
+        await deployPreviewAt('current', 7, 6);
+
+        const { deleted, kept } = await ViewportTheme.collectPreviews({ themeName: 'test', logLevel: 'silent' });
+
+        assert.deepEqual(deleted.map(item => `${item.themeName} ${item.reason}`), ['test--expired expired']);
+        assert.deepEqual(kept.map(item => item.themeName), ['test--current']);
+        assert.equal(mock.findTheme('test--expired', 'DOC'), undefined);
+    });
+
+    it('deletes the previews older than maxAge', async () => {
+        await deployPreviewAt('old', 14, 5);
+        await deployPreviewAt('new', 14, 1);
+
+        const { deleted, kept } = await ViewportTheme.collectPreviews({ themeName: 'test', maxAge: 3, logLevel: 'silent' });
+
+        assert.deepEqual(deleted.map(item => `${item.themeName} ${item.reason}`), ['test--old too old']);
+        assert.deepEqual(kept.map(item => item.themeName), ['test--new']);
+    });
+
+    it('fails without the name of the theme', async () => {
+        await assert.rejects(ViewportTheme.deployPreview({ ...previewOptions, themeName: undefined }, options), ConfigError);
+        await assert.rejects(ViewportTheme.collectPreviews({ branches: [], logLevel: 'silent' }), ConfigError);
+
+        assert.deepEqual(mock.themes, []);
+    });
+
+    it('requires --theme for the preview commands', async () => {
+        assert.equal((await runCli(['preview', 'sync', '--branch', 'x', '--glob', 'build/**', '--source', 'build', '--target', ''])).code, 2);
+        assert.equal((await runCli(['preview', 'gc'])).code, 2);
+        assert.deepEqual(mock.themes, []);
+    });
+});
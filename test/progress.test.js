@@ -0,0 +1,86 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const stream = require('stream');
+
+const ViewportTheme = require('..');
+const { createProject, createTheme } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('progress events', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/a.css': 'a {}', 'build/b.css': 'b {}', 'build/c.css': 'c {}' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    // uploads with the method and resolves with the progress events
+    async function recordProgress(theme, method, uploadOptions) {
+        const events = [];
+        theme.on('progress', event => events.push(event));
+        await theme[method](uploadOptions);
+        return events;
+    }
+
+    it('reports every file of a multi-batch upload', async () => {
+        const theme = await createTheme('test');
+        const events = await recordProgress(theme, 'upload', { ...options, batchSize: 1 });
+
+        // every batch starts its file, and sends its bytes until the file is done
+        assert.deepEqual(events.filter((item, i) => i == 0 || item.filesDone != events[i - 1].filesDone).map(item => item.filesDone), [0, 1, 2, 3]);
+        assert.deepEqual(Array.from(new Set(events.map(item => item.currentFile).filter(item => !!item))).sort(), ['a.css', 'b.css', 'c.css']);
+        assert.ok(events.every(item => item.filesTotal == 3));
+        assert.ok(events.every((item, i) => i == 0 || (item.filesDone >= events[i - 1].filesDone && item.bytesSent >= events[i - 1].bytesSent)));
+
+        // the bytes include the manifest, which is sent with the last batch
+        const last = events[events.length - 1];
+        assert.equal(last.filesDone, 3);
+        assert.equal(last.bytesSent, last.bytesTotal);
+        assert.ok(last.bytesTotal > 'a {}b {}c {}'.length);
+    });
+
+    it('reports the changed files of sync()', async () => {
+        const theme = await createTheme('test');
+        await theme.upload(options);
+        fs.writeFileSync('build/b.css', 'b { color: red; }');
+
+        const events = await recordProgress(theme, 'sync', options);
+        const last = events[events.length - 1];
+
+        assert.deepEqual(Array.from(new Set(events.map(item => item.currentFile).filter(item => !!item))), ['b.css']);
+        assert.equal(last.filesDone, 1);
+        assert.equal(last.filesTotal, 1);
+    });
+
+    it('renders a line per file without a TTY', async () => {
+        let output = '';
+        const outputStream = new stream.Writable({
+            write(chunk, encoding, callback) {
+                output += chunk;
+                callback();
+            },
+        });
+
+        const theme = await createTheme('test');
+        const stopRendering = ViewportTheme.renderProgress(theme, outputStream);
+        await theme.upload({ ...options, batchSize: 2 });
+        stopRendering();
+        await theme.upload(options);
+
+        assert.deepEqual(output.split('\n').filter(item => !!item).map(item => item.split(' ').slice(0, 2).join(' ')), ['Uploaded 1/3', 'Uploaded 2/3', 'Uploaded 3/3']);
+    });
+});
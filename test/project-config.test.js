@@ -0,0 +1,124 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ViewportTheme = require('..');
+const { ConfigError } = ViewportTheme;
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('project config', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC', 'OTHER', 'STAGE'] });
+    });
+
+    after(() => mock.close());
+
+    // the credentials stay in ~/.vpconfig.json, the project config provides the rest
+    const projectConfig = () => `module.exports = {
+        defaultEnv: 'DEV',
+        environments: {
+            DEV: { confluenceBaseUrl: '${mock.url}', spaceKey: 'DOC' },
+            STAGING: { confluenceBaseUrl: '${mock.url}', spaceKey: 'STAGE' },
+        },
+        themes: {
+            'staged-theme': { envName: 'STAGING', profiles: { css: [{ glob: 'build/css/**', sourcePath: 'build/css', targetPath: 'styles' }] } },
+        },
+        profiles: {
+            build: [
+                { glob: 'build/**/*.vm', sourcePath: 'build/', targetPath: '' },
+                { glob: 'build/css/**', sourcePath: 'build/', targetPath: 'assets/', ignore: ['**/*.txt'] },
+            ],
+        },
+        ignore: ['**/*.map'],
+    };`;
+
+    beforeEach(() => {
+        mock.reset();
+        const { username, password } = mock.targetEnv();
+        fs.outputJsonSync(path.join(os.homedir(), '.vpconfig.json'), { DEV: { username, password }, STAGING: { username, password } });
+        createProject({
+            'viewport.config.js': projectConfig(),
+            'build/page.vm': 'page',
+            'build/css/main.css': 'body {}',
+            'build/css/main.css.map': '{}',
+            'build/css/notes.txt': 'notes',
+        });
+    });
+
+    it('is found in the parent directories of the CWD', async () => {
+        fs.mkdirsSync('sub/dir');
+        process.chdir('sub/dir');
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        assert.equal(theme.envName, 'DEV');
+        assert.equal(theme.spaceKey, 'DOC');
+    });
+
+    it('may be a .vpconfig.json', async () => {
+        fs.removeSync('viewport.config.js');
+        fs.outputJsonSync('.vpconfig.json', { defaultEnv: 'STAGING', environments: { STAGING: { confluenceBaseUrl: mock.url, spaceKey: 'STAGE' } } });
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        assert.equal(theme.envName, 'STAGING');
+        assert.equal(theme.spaceKey, 'STAGE');
+    });
+
+    it('fails with a ConfigError if it is invalid', () => {
+        fs.outputFileSync('viewport.config.js', `module.exports = { defaultEnv: 1 };`);
+
+        assert.throws(() => new ViewportTheme({ themeName: 'test', logLevel: 'silent' }), ConfigError);
+    });
+
+    it('uploads the mappings of a profile with the ignore patterns of the project', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ profile: 'build' });
+
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'assets/css/main.css': 'body {}', 'page.vm': 'page' });
+    });
+
+    it('uploads the profiles of the theme', async () => {
+        const theme = await createTheme('staged-theme');
+        await theme.upload({ profile: 'css' });
+
+        assert.deepEqual(readResources(mock, 'staged-theme', 'STAGE'), { 'styles/main.css': 'body {}', 'styles/notes.txt': 'notes' });
+    });
+
+    it('fails with a ConfigError for an unknown profile', async () => {
+        const theme = await createTheme('test');
+
+        await assert.rejects(theme.upload({ profile: 'unknown' }), err => err instanceof ConfigError && /unknown/.test(err.message));
+        await assert.rejects(theme.upload({ profile: 'css' }), ConfigError);
+    });
+
+    it('chooses the target environment by envName, VPRT_ENV, the theme and defaultEnv in this order', () => {
+        const envNameOf = themeName => new ViewportTheme({ themeName, logLevel: 'silent' }).envName;
+
+        assert.equal(envNameOf('test'), 'DEV');
+        assert.equal(envNameOf('staged-theme'), 'STAGING');
+
+        process.env.VPRT_ENV = 'DEV';
+        assert.equal(envNameOf('staged-theme'), 'DEV');
+        assert.equal(new ViewportTheme({ themeName: 'test', envName: 'STAGING', logLevel: 'silent' }).envName, 'STAGING');
+    });
+
+    it('is overridden by the environmental variables', () => {
+        process.env.VPRT_SPACEKEY = 'OTHER';
+
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        assert.equal(theme.envName, 'DEV');
+        assert.equal(theme.spaceKey, 'OTHER');
+        assert.equal(theme.confluenceBaseUrl, mock.url);
+    });
+});
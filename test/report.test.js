@@ -0,0 +1,80 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+
+const ViewportTheme = require('..');
+const { UploadError } = ViewportTheme;
+const { createProject, createTheme } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('releases and reports', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'package.json': '{ "version": "1.4.0" }', 'build/main.css': 'body {}', 'build/page.vm': 'page' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    it('reads back the release of the last upload with info()', async () => {
+        const theme = await createTheme('test');
+        assert.equal((await theme.info()).release, undefined);
+
+        await theme.upload({ ...options, release: { build: '42' } });
+        const { release, files } = await theme.info();
+
+        assert.equal(release.version, '1.4.0');
+        assert.equal(release.build, '42');
+        assert.deepEqual(Object.keys(files).sort(), ['main.css', 'page.vm']);
+    });
+
+    it('writes a JSON and a JUnit report', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ ...options, report: { json: 'reports/report.json', junit: 'reports/junit.xml' } });
+
+        const { reports } = fs.readJsonSync('reports/report.json');
+        assert.equal(reports.length, 1);
+        assert.equal(reports[0].operation, 'upload');
+        assert.equal(reports[0].ok, true);
+        assert.deepEqual(reports[0].files.map(item => `${item.targetPath} ${item.status}`).sort(), ['main.css uploaded', 'page.vm uploaded']);
+        assert.match(fs.readFileSync('reports/junit.xml', 'utf8'), /<testsuites [^>]*tests="2" failures="0"/);
+    });
+
+    it('writes the report of a failed upload', async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        await assert.rejects(theme.upload({ ...options, retries: 0, report: { json: 'report.json' } }), UploadError);
+
+        const { reports } = fs.readJsonSync('report.json');
+        assert.equal(reports[0].ok, false);
+        assert.ok(reports[0].files.some(item => item.status == 'failed'));
+    });
+
+    it("keeps the error of the upload if the report can't be written", async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        // the directory of the report is a file
+        await assert.rejects(theme.upload({ ...options, retries: 0, report: { json: 'build/main.css/report.json' } }), UploadError);
+    });
+
+    it("resolves if the upload succeeded but the report can't be written", async () => {
+        const theme = await createTheme('test');
+        const result = await theme.upload({ ...options, report: { json: 'build/main.css/report.json' } });
+
+        assert.deepEqual(result.uploaded.sort(), ['main.css', 'page.vm']);
+    });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// ----------------- Setup ----------------- //
+
+// the tests run with an empty home directory, such that the ~/.vpconfig.json and the local state of the developer are never used
+// Note: required by mocha before the tests since the paths in the home directory are resolved when the modules are loaded
+const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewport-uploader-test-'));
+
+process.env.HOME = homeDir;
+process.env.USERPROFILE = homeDir;
+
+// environmental variables of the developer would override the target environments of the tests
+Object.keys(process.env).filter(item => item.startsWith('VPRT_')).forEach(item => {
+    delete process.env[item];
+});
+
+const cwd = process.cwd();
+
+exports.mochaHooks = {
+
+    // the target environment, the local manifests and the snapshots of a test mustn't leak into the next one
+    afterEach() {
+        process.chdir(cwd);
+        Object.keys(process.env).filter(item => item.startsWith('VPRT_')).forEach(item => {
+            delete process.env[item];
+        });
+        fs.removeSync(path.join(homeDir, '.viewport-uploader'));
+        fs.removeSync(path.join(homeDir, '.vpconfig.json'));
+    },
+
+    afterAll() {
+        fs.removeSync(homeDir);
+    },
+};
@@ -0,0 +1,74 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+
+const ViewportTheme = require('..');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('sync()', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}', 'build/main.js': 'main();' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    it('uploads new files and deletes orphaned resources', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'build/**', sourcePath: 'build', targetPath: 'old' });
+
+        const result = await theme.sync(options);
+
+        assert.deepEqual(result.uploaded.sort(), ['main.css', 'main.js']);
+        assert.deepEqual(result.deleted.sort(), ['old/main.css', 'old/main.js']);
+        assert.deepEqual(Object.keys(readResources(mock, 'test', 'DOC')), ['main.css', 'main.js']);
+    });
+
+    it('only uploads changed files', async () => {
+        const theme = await createTheme('test');
+        await theme.sync(options);
+
+        fs.outputFileSync('build/main.js', 'main(true);');
+        fs.removeSync('build/main.css');
+        const result = await theme.sync(options);
+
+        assert.deepEqual(result, { uploaded: ['main.js'], skipped: [], deleted: ['main.css'] });
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.js': 'main(true);' });
+    });
+
+    it('uploads unchanged files whose resources were deleted elsewhere', async () => {
+        const theme = await createTheme('test');
+        await theme.sync(options);
+
+        // the manifest still lists the resource
+        mock.findTheme('test', 'DOC').resources.delete('main.css');
+        const result = await theme.sync(options);
+
+        assert.deepEqual(result, { uploaded: ['main.css'], skipped: ['main.js'], deleted: [] });
+        assert.deepEqual(Object.keys(readResources(mock, 'test', 'DOC')), ['main.css', 'main.js']);
+    });
+
+    it("doesn't delete anything if the glob matches no files", async () => {
+        const theme = await createTheme('test');
+        await theme.sync(options);
+
+        const result = await theme.sync({ glob: 'missing/**', sourcePath: 'missing', targetPath: '' });
+
+        assert.equal(result, undefined);
+        assert.deepEqual(Object.keys(readResources(mock, 'test', 'DOC')), ['main.css', 'main.js']);
+    });
+});
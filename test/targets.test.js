@@ -0,0 +1,77 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ViewportTheme = require('..');
+const { PermissionError } = ViewportTheme;
+const { createProject, readResources, runCli } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('deployTargets()', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC', 'OTHER', 'SECRET'], forbiddenSpaceKeys: ['SECRET'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        createProject({ 'build/main.css': 'body {}' });
+        fs.outputJsonSync(path.join(os.homedir(), '.vpconfig.json'), {
+            'PROD-A': { ...mock.targetEnv('DOC'), envName: 'PROD-A' },
+            'PROD-B': { ...mock.targetEnv('OTHER'), envName: 'PROD-B' },
+            'DEV': { ...mock.targetEnv('DOC'), envName: 'DEV' },
+        });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    it('uploads to every target environment matching a wildcard and creates the theme', async () => {
+        const summary = await ViewportTheme.deployTargets({ themeName: 'test', targets: 'PROD-*', logLevel: 'silent' }, options);
+
+        assert.equal(summary.ok, true);
+        assert.deepEqual(summary.targets.map(item => `${item.envName} ${item.spaceKey} ${item.ok}`), ['PROD-A DOC true', 'PROD-B OTHER true']);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}' });
+        assert.deepEqual(readResources(mock, 'test', 'OTHER'), { 'main.css': 'body {}' });
+    });
+
+    it('uploads to several targets with their space keys once', async () => {
+        const summary = await ViewportTheme.deployTargets({ themeName: 'test', targets: ['DEV:OTHER', { envName: 'PROD-B' }, 'PROD-?'], method: 'sync', logLevel: 'silent' }, options);
+
+        assert.deepEqual(summary.targets.map(item => `${item.envName} ${item.spaceKey}`), ['DEV OTHER', 'PROD-B OTHER', 'PROD-A DOC']);
+    });
+
+    it('reports a failed target and still uploads to the others', async () => {
+        const summary = await ViewportTheme.deployTargets({ themeName: 'test', targets: ['DEV:SECRET', 'PROD-A'], logLevel: 'silent' }, options);
+
+        assert.equal(summary.ok, false);
+        assert.deepEqual(summary.targets.map(item => `${item.envName} ${item.spaceKey} ${item.ok}`), ['DEV SECRET false', 'PROD-A DOC true']);
+        assert.ok(summary.targets[0].error instanceof PermissionError);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'main.css': 'body {}' });
+    });
+
+    it('fails if a wildcard matches no target environment', async () => {
+        await assert.rejects(ViewportTheme.deployTargets({ themeName: 'test', targets: 'STAGE-*', logLevel: 'silent' }, options), /doesn't match any target environment/);
+    });
+
+    it('exits with 1 if a target failed', async () => {
+        const { code, stdout } = await runCli(['upload', '--theme', 'test', '--glob', 'build/**', '--source', 'build', '--target', '', '--envs', 'DEV:SECRET', '--envs', 'PROD-*', '--quiet']);
+
+        assert.equal(code, 1);
+        assert.deepEqual(stdout.split('\n').filter(item => !!item).map(item => item.split('\t').slice(0, 3).join(' ')), ['DEV SECRET failed', 'PROD-A DOC ok', 'PROD-B OTHER ok']);
+    });
+
+    it('exits with 0 if all targets succeeded', async () => {
+        const { code } = await runCli(['sync', '--theme', 'test', '--glob', 'build/**', '--source', 'build', '--target', '', '--envs', 'PROD-*', '--quiet']);
+
+        assert.equal(code, 0);
+    });
+});
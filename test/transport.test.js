@@ -0,0 +1,107 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fetch = require('node-fetch');
+
+const ViewportTheme = require('..');
+const { ConfigError, NetworkError } = ViewportTheme;
+const { getProxy } = require('../lib/transport');
+const { createProject } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('getProxy()', () => {
+    const proxyVariables = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy'];
+    let env;
+
+    beforeEach(() => {
+        env = proxyVariables.reduce((acc, item) => ({ ...acc, [item]: process.env[item] }), {});
+        proxyVariables.forEach(item => delete process.env[item]);
+    });
+
+    afterEach(() => {
+        proxyVariables.forEach(item => env[item] === undefined ? delete process.env[item] : process.env[item] = env[item]);
+    });
+
+    it('uses the proxy of the protocol of Confluence', () => {
+        process.env.HTTPS_PROXY = 'http://secure-proxy:3128';
+        process.env.HTTP_PROXY = 'http://proxy:3128';
+
+        assert.equal(getProxy('https://confluence.example.com'), 'http://secure-proxy:3128');
+        assert.equal(getProxy('http://confluence.example.com'), 'http://proxy:3128');
+    });
+
+    it('prefers the proxy of the target environment', () => {
+        process.env.HTTPS_PROXY = 'http://secure-proxy:3128';
+
+        assert.equal(getProxy('https://confluence.example.com', { proxy: 'http://other-proxy:8080' }), 'http://other-proxy:8080');
+    });
+
+    it('skips the proxy for the hosts of NO_PROXY and their subdomains', () => {
+        process.env.HTTPS_PROXY = 'http://secure-proxy:3128';
+        process.env.NO_PROXY = 'localhost, .example.com';
+
+        assert.equal(getProxy('https://confluence.example.com'), undefined);
+        assert.equal(getProxy('https://example.org'), 'http://secure-proxy:3128');
+        assert.equal(getProxy('https://example.org', { noProxy: '*' }), undefined);
+        assert.equal(getProxy('https://confluence.example.com:8443', { noProxy: 'example.com:443' }), 'http://secure-proxy:3128');
+    });
+});
+
+describe('transport', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        mock.latency = 0;
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({});
+    });
+
+    it('sends all requests with the fetch option and the same agent', async () => {
+        const calls = [];
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent', fetch: (url, options) => {
+            calls.push(options);
+            return fetch(url, options);
+        } });
+
+        await theme.create();
+        await theme.exists();
+
+        assert.ok(calls.length >= 2);
+        assert.ok(calls.every(item => item.agent === calls[0].agent && item.timeout === 300000));
+    });
+
+    it('sends the requests through the proxy', async () => {
+        // the mock answers the requests of the proxy as well, since they have the URL of Confluence as path
+        process.env.VPRT_CONFLUENCEBASEURL = 'http://confluence.example.invalid';
+        process.env.VPRT_PROXY = mock.url;
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        await theme.create();
+
+        assert.ok(mock.findTheme('test', 'DOC'));
+    });
+
+    it('fails with a NetworkError once a request times out', async () => {
+        process.env.VPRT_TIMEOUT = '50';
+        mock.latency = 500;
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+
+        await assert.rejects(theme.exists(), NetworkError);
+    });
+
+    it("fails with a ConfigError if the CA bundle can't be read", () => {
+        process.env.VPRT_CAFILE = 'missing.pem';
+
+        assert.throws(() => new ViewportTheme({ themeName: 'test', logLevel: 'silent' }), ConfigError);
+    });
+});
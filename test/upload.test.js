@@ -0,0 +1,146 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+
+const ViewportTheme = require('..');
+const { UploadError } = ViewportTheme;
+const { MANIFEST_RESOURCE } = require('../lib/manifest');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('upload()', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/main.css': 'body {}', 'build/js/main.js': 'main();', 'build/page.vm': '<p>$title</p>' });
+    });
+
+    const options = { glob: 'build/**', sourcePath: 'build', targetPath: '' };
+
+    it('uploads the files to their target paths together with the manifest', async () => {
+        const theme = await createTheme('test');
+        const result = await theme.upload(options);
+
+        assert.deepEqual(result.uploaded.sort(), ['js/main.js', 'main.css', 'page.vm']);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'js/main.js': 'main();', 'main.css': 'body {}', 'page.vm': '<p>$title</p>' });
+
+        const manifest = JSON.parse(mock.findTheme('test', 'DOC').resources.get(MANIFEST_RESOURCE));
+        assert.deepEqual(Object.keys(manifest.files).sort(), ['js/main.js', 'main.css', 'page.vm']);
+    });
+
+    it('uploads below the targetPath', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ glob: 'build/*.css', sourcePath: 'build', targetPath: 'assets/css' });
+
+        assert.deepEqual(Object.keys(readResources(mock, 'test', 'DOC')), ['assets/css/main.css']);
+    });
+
+    it('skips unchanged files with delta', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ ...options, delta: true });
+
+        fs.outputFileSync('build/main.css', 'body { color: red; }');
+        const result = await theme.upload({ ...options, delta: true });
+
+        assert.deepEqual(result.uploaded, ['main.css']);
+        assert.deepEqual(result.skipped.sort(), ['js/main.js', 'page.vm']);
+        assert.equal(readResources(mock, 'test', 'DOC')['main.css'], 'body { color: red; }');
+    });
+
+    it('skips the upload with delta if nothing changed', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ ...options, delta: true, release: { version: '1.0.0' } });
+
+        const requestCount = mock.requests.length;
+        const result = await theme.upload({ ...options, delta: true, release: { version: '1.0.0' } });
+
+        assert.deepEqual(result.uploaded, []);
+        assert.equal(mock.requests.slice(requestCount).filter(item => item.method == 'POST').length, 0);
+    });
+
+    it('uploads every file with delta if the theme was emptied elsewhere', async () => {
+        const theme = await createTheme('test');
+        await theme.upload({ ...options, delta: true });
+
+        // the local copy of the manifest still lists the resources
+        mock.findTheme('test', 'DOC').resources.clear();
+        const result = await theme.upload({ ...options, delta: true });
+
+        assert.equal(result.uploaded.length, 3);
+        assert.equal(Object.keys(readResources(mock, 'test', 'DOC')).length, 3);
+    });
+
+    it('uploads every file again without delta', async () => {
+        const theme = await createTheme('test');
+        await theme.upload(options);
+        const result = await theme.upload(options);
+
+        assert.equal(result.uploaded.length, 3);
+        assert.deepEqual(result.skipped, []);
+    });
+
+    it("uploads without delta if the manifest can't be read", async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 500, method: 'GET', path: `/rest/scroll-viewport/1.0/theme/${theme.themeId}/resource/${MANIFEST_RESOURCE}` });
+
+        const result = await theme.upload(options);
+        assert.equal(result.uploaded.length, 3);
+    });
+
+    it("fails with delta if the manifest can't be read", async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 500, method: 'GET', path: `/rest/scroll-viewport/1.0/theme/${theme.themeId}/resource/${MANIFEST_RESOURCE}` });
+
+        await assert.rejects(theme.upload({ ...options, delta: true }), /Can not fetch resource/);
+    });
+
+    it('splits the upload into batches and uploads the manifest afterwards', async () => {
+        const theme = await createTheme('test');
+        const requestCount = mock.requests.length;
+        await theme.upload({ ...options, batchSize: 1 });
+
+        // a request per file and one for the manifest
+        assert.equal(mock.requests.slice(requestCount).filter(item => item.method == 'POST').length, 4);
+        assert.ok(mock.findTheme('test', 'DOC').resources.has(MANIFEST_RESOURCE));
+    });
+
+    it('fails with an UploadError listing the files of failed batches', async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 400, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        const err = await theme.upload({ ...options, batchSize: 1, retries: 0 }).then(() => undefined, item => item);
+
+        assert.ok(err instanceof UploadError);
+        assert.equal(err.failed.length, 1);
+        assert.equal(err.uploaded.length, 2);
+    });
+
+    it('retries batches that failed with a server error', async () => {
+        const theme = await createTheme('test');
+        mock.fail({ status: 503, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        const result = await theme.upload({ ...options, retries: 1 });
+        assert.equal(result.uploaded.length, 3);
+    });
+
+    it('only plans the upload with dryRun', async () => {
+        const theme = new ViewportTheme({ themeName: 'test', logLevel: 'silent' });
+        const plan = await theme.upload({ ...options, dryRun: true });
+
+        assert.equal(plan.operation, 'upload');
+        assert.deepEqual(plan.files.map(item => item.status), ['unknown', 'unknown', 'unknown']);
+        assert.equal(mock.requests.length, 0);
+    });
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const fs = require('fs-extra');
+
+const ViewportTheme = require('..');
+const { createProject, createTheme, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('watch()', () => {
+    let mock;
+    let watcher;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'src/page.vm': 'page', 'src/css/main.css': 'body {}' });
+    });
+
+    afterEach(async () => {
+        if (watcher) {
+            await watcher.close();
+            watcher = undefined;
+        }
+    });
+
+    const options = { glob: 'src/**', sourcePath: 'src', targetPath: '', debounce: 50 };
+
+    // resolves once the resources of the theme match, watching depends on the file system events of the platform
+    async function waitForResources(themeName, expected) {
+        for (let i = 0; i < 100; i++) {
+            if (JSON.stringify(readResources(mock, themeName, 'DOC')) == JSON.stringify(expected)) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.deepEqual(readResources(mock, themeName, 'DOC'), expected);
+    }
+
+    it('uploads changes in nested directories', async () => {
+        const theme = await createTheme('test');
+        watcher = await theme.watch(options);
+
+        fs.writeFileSync('src/css/main.css', 'body { color: red; }');
+
+        await waitForResources('test', { 'css/main.css': 'body { color: red; }', 'page.vm': 'page' });
+    });
+
+    it('uploads changes in directories created while watching', async () => {
+        const theme = await createTheme('test');
+        watcher = await theme.watch(options);
+
+        fs.outputFileSync('src/js/main.js', 'main();');
+        await waitForResources('test', { 'css/main.css': 'body {}', 'js/main.js': 'main();', 'page.vm': 'page' });
+
+        fs.writeFileSync('src/js/main.js', 'main(true);');
+        await waitForResources('test', { 'css/main.css': 'body {}', 'js/main.js': 'main(true);', 'page.vm': 'page' });
+    });
+
+    it('stops watching once it is closed', async () => {
+        const theme = await createTheme('test');
+        watcher = await theme.watch(options);
+        await watcher.close();
+        const requestCount = mock.requests.length;
+
+        fs.writeFileSync('src/css/main.css', 'body { color: red; }');
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.equal(mock.requests.length, requestCount);
+    });
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+// ----------------- Dependencies ----------------- //
+
+const assert = require('assert').strict;
+const path = require('path');
+const stream = require('stream');
+
+const ViewportTheme = require('..');
+const { ViewportUploaderPlugin } = ViewportTheme;
+const { createProject, readResources } = require('./helpers');
+
+// ----------------- Tests ----------------- //
+
+describe('ViewportUploaderPlugin', () => {
+    let mock;
+
+    before(async () => {
+        mock = await ViewportTheme.createMockServer({ spaceKeys: ['DOC'] });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        mock.reset();
+        Object.assign(process.env, mock.env('DOC'));
+        createProject({ 'build/js/main.js': 'main();', 'build/js/main.js.map': '{}', 'build/page.vm': '<script src="$theme.baseUrl/js/main.js"></script>' });
+    });
+
+    // the compilation of webpack 5 with the emitted assets
+    const createCompilation = assets => ({ errors: [], emittedAssets: new Set(assets) });
+
+    it('rejects unknown and invalid options', () => {
+        assert.throws(() => new ViewportUploaderPlugin({ themeName: 'test', dryRun: true }), /dryRun/);
+        assert.throws(() => new ViewportUploaderPlugin({ themeName: 'test', batchSize: 0 }), /batchSize/);
+        assert.throws(() => new ViewportUploaderPlugin({ themeName: 'test', ignore: 1 }), /ignore/);
+    });
+
+    it('passes the upload flags on to sync()', async () => {
+        const plugin = new ViewportUploaderPlugin({ themeName: 'test', sync: true, ignore: '**/*.map', fingerprint: true, batchSize: 1, logLevel: 'silent' });
+        const compilation = createCompilation(['js/main.js', 'js/main.js.map', 'page.vm']);
+
+        await plugin.upload(compilation, path.resolve('build'));
+
+        assert.deepEqual(compilation.errors, []);
+        const resources = readResources(mock, 'test', 'DOC');
+        const scriptPath = Object.keys(resources).find(item => item.startsWith('js/'));
+
+        assert.match(scriptPath, /^js\/main\.[0-9a-f]{8}\.js$/);
+        assert.deepEqual(Object.keys(resources), [scriptPath, 'page.vm']);
+        assert.equal(resources['page.vm'], `<script src="$theme.baseUrl/${scriptPath}"></script>`);
+
+        // a request per file and one for the manifest
+        assert.equal(mock.requests.filter(item => item.method == 'POST' && item.path.endsWith('/resource')).length, 3);
+    });
+
+    it('passes the upload flags on to upload()', async () => {
+        const plugin = new ViewportUploaderPlugin({ themeName: 'test', delta: true, logLevel: 'silent' });
+
+        await plugin.upload(createCompilation(['js/main.js']), path.resolve('build'));
+        const requestCount = mock.requests.length;
+        await plugin.upload(createCompilation(['js/main.js']), path.resolve('build'));
+
+        // the unchanged file isn't uploaded again
+        assert.equal(mock.requests.slice(requestCount).filter(item => item.method == 'POST').length, 0);
+    });
+
+    it('creates the theme again for the next compilation if it failed', async () => {
+        const plugin = new ViewportUploaderPlugin({ themeName: 'test', retries: 0, logLevel: 'silent' });
+        mock.fail({ status: 500, method: 'POST', path: '/rest/scroll-viewport/1.0/theme' });
+
+        const failedCompilation = createCompilation(['js/main.js']);
+        await plugin.upload(failedCompilation, path.resolve('build'));
+        assert.equal(failedCompilation.errors.length, 1);
+
+        const compilation = createCompilation(['js/main.js']);
+        await plugin.upload(compilation, path.resolve('build'));
+
+        assert.deepEqual(compilation.errors, []);
+        assert.deepEqual(readResources(mock, 'test', 'DOC'), { 'js/main.js': 'main();' });
+    });
+
+    it('logs to the logStream', async () => {
+        let output = '';
+        const logStream = new stream.Writable({
+            write(chunk, encoding, callback) {
+                output += chunk;
+                callback();
+            },
+        });
+
+        const plugin = new ViewportUploaderPlugin({ themeName: 'test', logStream, logFormat: 'ndjson' });
+        await plugin.upload(createCompilation(['js/main.js']), path.resolve('build'));
+
+        assert.ok(output.split('\n').filter(item => !!item).map(item => JSON.parse(item)).some(item => item.event == 'upload.done'));
+    });
+});